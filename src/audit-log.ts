@@ -0,0 +1,197 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { redactor } from './redact.js';
+
+/**
+ * One audited processor call
+ */
+export interface AuditEntry {
+  timestamp: string;
+  site: string;
+  user?: string;
+  namespace: string;
+  action: string;
+  args: Record<string, any>;
+  durationMs: number;
+  httpStatus?: number;
+  queueWaitMs?: number;
+  success: boolean;
+  message?: string;
+}
+
+export interface AuditLogOptions {
+  file: string;
+  // Rotate when the current file would grow past this size
+  maxBytes?: number;
+  // Number of rotated files kept (file.1 ... file.N)
+  maxFiles?: number;
+}
+
+export interface AuditQuery {
+  site?: string;
+  // Substring of "namespace/action"
+  action?: string;
+  success?: boolean;
+  limit?: number;
+}
+
+/**
+ * Append-only JSONL audit log with size-based rotation
+ */
+export class AuditLog {
+  private file: string;
+  private maxBytes: number;
+  private maxFiles: number;
+  // Writes are chained so entries and rotations never interleave
+  private queue: Promise<void> = Promise.resolve();
+
+  constructor(options: AuditLogOptions) {
+    this.file = options.file;
+    this.maxBytes = options.maxBytes ?? 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles ?? 5;
+  }
+
+  /**
+   * Build audit log from MODX_AUDIT_* environment variables, or null when MODX_AUDIT_LOG is not set
+   */
+  static fromEnv(): AuditLog | null {
+    const file = process.env.MODX_AUDIT_LOG;
+    if (!file) {
+      return null;
+    }
+
+    const maxFiles = parseInt(process.env.MODX_AUDIT_MAX_FILES || '', 10);
+    return new AuditLog({
+      file,
+      maxBytes: parseInt(process.env.MODX_AUDIT_MAX_BYTES || '', 10) || undefined,
+      maxFiles: Number.isNaN(maxFiles) ? undefined : Math.max(0, maxFiles),
+    });
+  }
+
+  /**
+   * Queue entry for writing; failures are reported to stderr and never break the call being audited
+   */
+  record(entry: AuditEntry): void {
+    const line = JSON.stringify({
+      ...entry,
+      args: redactor.redact(entry.args),
+      message: entry.message !== undefined ? redactor.redactText(entry.message) : undefined,
+    }) + '\n';
+
+    this.queue = this.queue
+      .then(() => this.append(line))
+      .catch(error => {
+        console.error('Failed to write audit log:', error instanceof Error ? error.message : error);
+      });
+  }
+
+  /**
+   * Wait until all queued entries are written, e.g. before the process exits
+   */
+  async flush(): Promise<void> {
+    let pending: Promise<void>;
+    do {
+      pending = this.queue;
+      await pending;
+    } while (pending !== this.queue);
+  }
+
+  /**
+   * Most recent entries matching the query, newest first
+   */
+  async query(query: AuditQuery = {}): Promise<AuditEntry[]> {
+    await this.flush();
+
+    const limit = query.limit && query.limit > 0 ? query.limit : 50;
+    const matches: AuditEntry[] = [];
+
+    // Current file first, then rotated files from newest to oldest
+    const files = [this.file];
+    for (let index = 1; index <= this.maxFiles; index++) {
+      files.push(`${this.file}.${index}`);
+    }
+
+    for (const file of files) {
+      let content: string;
+      try {
+        content = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      const lines = content.split('\n').filter(line => line.trim() !== '').reverse();
+      for (const line of lines) {
+        let entry: AuditEntry;
+        try {
+          entry = JSON.parse(line);
+        } catch (e) {
+          continue;
+        }
+
+        if (query.site && entry.site !== query.site) {
+          continue;
+        }
+        if (query.action && !`${entry.namespace}/${entry.action}`.includes(query.action)) {
+          continue;
+        }
+        if (query.success !== undefined && entry.success !== query.success) {
+          continue;
+        }
+
+        matches.push(entry);
+        if (matches.length >= limit) {
+          return matches;
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Append line, rotating first if the file would exceed maxBytes
+   */
+  private async append(line: string): Promise<void> {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    let size = 0;
+    try {
+      size = (await fs.stat(this.file)).size;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxBytes) {
+      await this.rotate();
+    }
+
+    await fs.appendFile(this.file, line, { mode: 0o600 });
+  }
+
+  /**
+   * Shift file -> file.1 -> file.2 ..., dropping files beyond maxFiles
+   */
+  private async rotate(): Promise<void> {
+    if (this.maxFiles === 0) {
+      await fs.unlink(this.file);
+      return;
+    }
+
+    await fs.rm(`${this.file}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      try {
+        await fs.rename(`${this.file}.${index}`, `${this.file}.${index + 1}`);
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    await fs.rename(this.file, `${this.file}.1`);
+  }
+}
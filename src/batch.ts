@@ -0,0 +1,180 @@
+/**
+ * Sequential execution of processor calls where later steps use values from earlier results
+ */
+
+import { projectFields } from './response-format.js';
+
+export interface BatchStep {
+  // Optional label, usable in references instead of the step index
+  id?: string;
+  namespace: string;
+  action: string;
+  args?: Record<string, any>;
+  // Keep only these fields of the returned object / of each result item in the report
+  fields?: string[];
+}
+
+export type BatchMode = 'stop' | 'continue';
+
+export interface BatchStepReport {
+  index: number;
+  id?: string;
+  namespace: string;
+  action: string;
+  status: 'success' | 'failed' | 'skipped';
+  durationMs?: number;
+  message?: string;
+  error?: string;
+  result?: Record<string, any>;
+}
+
+export interface BatchReport {
+  success: boolean;
+  mode: BatchMode;
+  succeeded: number;
+  failed: number;
+  skipped: number;
+  steps: BatchStepReport[];
+}
+
+/**
+ * Runs one step with resolved arguments; throws when the call is not allowed or fails below MODX
+ */
+export type BatchExecutor = (step: BatchStep, args: Record<string, any>) => Promise<Record<string, any>>;
+
+// {{steps.0.object.id}} or {{steps.<id>.object.id}}
+const REFERENCE_PATTERN = /\{\{\s*steps\.([^}\s]+?)\s*\}\}/g;
+const WHOLE_REFERENCE_PATTERN = /^\{\{\s*steps\.([^}\s]+?)\s*\}\}$/;
+
+/**
+ * Validate raw steps argument
+ */
+export function parseSteps(value: any): BatchStep[] {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('"steps" must be a non-empty array');
+  }
+
+  const ids = new Set<string>();
+  return value.map((step, index) => {
+    if (!step || typeof step !== 'object' || !step.namespace || !step.action) {
+      throw new Error(`Step ${index} must define namespace and action`);
+    }
+    if (step.args !== undefined && (typeof step.args !== 'object' || Array.isArray(step.args) || step.args === null)) {
+      throw new Error(`Step ${index}: "args" must be an object`);
+    }
+    if (step.id !== undefined) {
+      if (/^\d+$/.test(String(step.id)) || ids.has(String(step.id))) {
+        throw new Error(`Step ${index}: id "${step.id}" must be unique and not a number`);
+      }
+      ids.add(String(step.id));
+    }
+    return {
+      id: step.id !== undefined ? String(step.id) : undefined,
+      namespace: String(step.namespace),
+      action: String(step.action),
+      args: step.args || {},
+      fields: Array.isArray(step.fields) ? step.fields.map(String) : undefined,
+    };
+  });
+}
+
+/**
+ * Look up "0.object.id" / "create.object.id" among earlier results
+ */
+function lookup(reference: string, steps: BatchStep[], results: Array<Record<string, any> | undefined>): any {
+  const [stepKey, ...path] = reference.split('.');
+  const index = /^\d+$/.test(stepKey) ? parseInt(stepKey, 10) : steps.findIndex(step => step.id === stepKey);
+
+  if (index < 0 || index >= results.length) {
+    throw new Error(`Reference to unknown or later step: steps.${reference}`);
+  }
+  if (!results[index]) {
+    throw new Error(`Reference to a step without result: steps.${reference}`);
+  }
+
+  let value: any = results[index];
+  for (const key of path) {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      throw new Error(`Unresolved reference: steps.${reference}`);
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Replace references in step arguments. A string that is a single reference takes the referenced value as is
+ * (numbers stay numbers); references inside longer strings are interpolated.
+ */
+export function resolveReferences(value: any, steps: BatchStep[], results: Array<Record<string, any> | undefined>): any {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_REFERENCE_PATTERN);
+    if (whole) {
+      return lookup(whole[1], steps, results);
+    }
+    return value.replace(REFERENCE_PATTERN, (_, reference) => {
+      const resolved = lookup(reference, steps, results);
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveReferences(item, steps, results));
+  }
+  if (value && typeof value === 'object') {
+    const resolved: Record<string, any> = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveReferences(item, steps, results);
+    }
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Run steps in order. In "stop" mode the first failure (exception or success: false) skips the remaining steps.
+ */
+export async function runBatch(steps: BatchStep[], execute: BatchExecutor, mode: BatchMode = 'stop'): Promise<BatchReport> {
+  const results: Array<Record<string, any> | undefined> = [];
+  const reports: BatchStepReport[] = [];
+  let stopped = false;
+
+  for (const [index, step] of steps.entries()) {
+    const report: BatchStepReport = { index, id: step.id, namespace: step.namespace, action: step.action, status: 'skipped' };
+    reports.push(report);
+
+    if (stopped) {
+      results.push(undefined);
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const args = resolveReferences(step.args || {}, steps, results);
+      const result = await execute(step, args);
+
+      results.push(result);
+      report.status = result.success === false ? 'failed' : 'success';
+      report.message = result.message || undefined;
+      report.result = projectFields(result, step.fields);
+    } catch (error) {
+      results.push(undefined);
+      report.status = 'failed';
+      report.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+    report.durationMs = Date.now() - startedAt;
+
+    if (report.status === 'failed' && mode === 'stop') {
+      stopped = true;
+    }
+  }
+
+  const count = (status: BatchStepReport['status']) => reports.filter(report => report.status === status).length;
+  return {
+    success: count('failed') === 0 && count('skipped') === 0,
+    mode,
+    succeeded: count('success'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    steps: reports,
+  };
+}
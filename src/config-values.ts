@@ -0,0 +1,47 @@
+/**
+ * Parsing of configuration values shared by the modules reading MODX_* variables
+ */
+
+/**
+ * Parse a JSON object from an environment variable. Anything else is ignored with a warning
+ * describing the expected entries, e.g. "namespace => connector path".
+ */
+export function parseJsonObject(json: string | undefined, variable: string, expected: string): Record<string, any> {
+  if (!json) {
+    return {};
+  }
+
+  try {
+    const parsed = JSON.parse(json);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (e) {
+    // Fall through to warning below
+  }
+
+  console.error(`Ignoring ${variable}: expected a JSON object of ${expected}`);
+  return {};
+}
+
+/**
+ * Interpret a flag: environment values such as "1", "true", "yes" / "0", "false", "no" and MODX fields (1, "1", true).
+ * Empty or unrecognized values give the fallback.
+ */
+export function parseFlag(value: unknown, fallback: boolean): boolean {
+  const text = String(value ?? '').trim();
+  if (/^(1|true|yes|on)$/i.test(text)) {
+    return true;
+  }
+  if (/^(0|false|no|off)$/i.test(text)) {
+    return false;
+  }
+  return fallback;
+}
+
+/**
+ * Flag that is off unless explicitly enabled
+ */
+export function isTruthy(value: unknown): boolean {
+  return parseFlag(value, false);
+}
@@ -0,0 +1,82 @@
+import { createHash, randomBytes } from 'crypto';
+
+interface PendingConfirmation {
+  fingerprint: string;
+  expiresAt: number;
+}
+
+/**
+ * Serialize value with sorted object keys so equal arguments give equal fingerprints
+ */
+function stableStringify(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * One-time confirmation tokens for destructive processor calls.
+ * A token is bound to the exact call it was issued for and can be used once.
+ */
+export class ConfirmationManager {
+  private pending = new Map<string, PendingConfirmation>();
+  private ttlMs: number;
+
+  constructor(ttlMs: number = 5 * 60 * 1000) {
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Fingerprint of a call: site, processor and arguments
+   */
+  static fingerprint(site: string, namespace: string, action: string, args: Record<string, any>): string {
+    return createHash('sha256')
+      .update(stableStringify({ site, namespace, action, args }))
+      .digest('hex');
+  }
+
+  /**
+   * Issue a token for the call
+   */
+  issue(fingerprint: string): { token: string; expiresAt: Date } {
+    this.purgeExpired();
+
+    const token = randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + this.ttlMs;
+    this.pending.set(token, { fingerprint, expiresAt });
+
+    return { token, expiresAt: new Date(expiresAt) };
+  }
+
+  /**
+   * Use up a token; fails if it is unknown, expired or was issued for a different call
+   */
+  consume(token: string, fingerprint: string): boolean {
+    this.purgeExpired();
+
+    const entry = this.pending.get(token);
+    if (!entry || entry.fingerprint !== fingerprint) {
+      return false;
+    }
+
+    this.pending.delete(token);
+    return true;
+  }
+
+  /**
+   * Drop tokens past their expiry time
+   */
+  private purgeExpired(): void {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt <= now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
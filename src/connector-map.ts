@@ -0,0 +1,121 @@
+/**
+ * Routing of processor namespaces to the connector that serves them
+ */
+
+import { parseJsonObject } from './config-values.js';
+
+interface CatalogProcessor {
+  namespace: string;
+  class?: string;
+  file?: string;
+}
+
+export interface ConnectorTarget {
+  path: string;
+  // Component connectors need the namespace passed alongside the action
+  passNamespace: boolean;
+}
+
+const CORE_NAMESPACE = 'core';
+
+export class ConnectorMap {
+  private defaultPath: string;
+  private overrides: Record<string, string>;
+  private derived: Record<string, string> = {};
+
+  constructor(defaultPath: string, overrides: Record<string, string> = {}) {
+    this.defaultPath = defaultPath;
+    this.overrides = {};
+    for (const [namespace, path] of Object.entries(overrides)) {
+      this.overrides[namespace] = this.normalizeConnectorPath(path);
+    }
+  }
+
+  /**
+   * Parse namespace => connector path overrides from a JSON string (MODX_CONNECTORS)
+   */
+  static parseOverrides(json: string | undefined): Record<string, string> {
+    const parsed = parseJsonObject(json, 'MODX_CONNECTORS', 'namespace => connector path');
+    const overrides: Record<string, string> = {};
+    for (const [namespace, path] of Object.entries(parsed)) {
+      if (typeof path === 'string' && path) {
+        overrides[namespace] = path;
+      }
+    }
+    return overrides;
+  }
+
+  /**
+   * Derive connector paths for component namespaces from the processor catalog
+   */
+  learnFromCatalog(processors: CatalogProcessor[]): void {
+    this.derived = {};
+
+    for (const processor of processors) {
+      if (!processor.namespace || processor.namespace === CORE_NAMESPACE || this.derived[processor.namespace]) {
+        continue;
+      }
+
+      const path = this.deriveFromProcessor(processor);
+      if (path) {
+        this.derived[processor.namespace] = path;
+      }
+    }
+  }
+
+  /**
+   * Resolve connector for a namespace: explicit override, then catalog, then convention
+   */
+  resolve(namespace: string): ConnectorTarget {
+    if (this.overrides[namespace]) {
+      return {
+        path: this.overrides[namespace],
+        passNamespace: namespace !== CORE_NAMESPACE,
+      };
+    }
+
+    if (!namespace || namespace === CORE_NAMESPACE) {
+      return { path: this.defaultPath, passNamespace: false };
+    }
+
+    const path = this.derived[namespace] || `/assets/components/${namespace.toLowerCase()}/connector.php`;
+    return {
+      path,
+      passNamespace: path !== this.defaultPath,
+    };
+  }
+
+  /**
+   * Current namespace => connector path table
+   */
+  toJSON(): Record<string, string> {
+    return { [CORE_NAMESPACE]: this.defaultPath, ...this.derived, ...this.overrides };
+  }
+
+  /**
+   * Work out the connector from processor file location or class name
+   */
+  private deriveFromProcessor(processor: CatalogProcessor): string | null {
+    const file = (processor.file || '').replace(/\\/g, '/');
+
+    // Core processors live in core/model/modx/processors (2.x) or core/src/Revolution (3.x)
+    if (/\/model\/modx\/processors\//i.test(file) || /\/src\/Revolution\//.test(file)
+      || (processor.class || '').startsWith('MODX\\Revolution\\')) {
+      return this.defaultPath;
+    }
+
+    const match = file.match(/\/components\/([^/]+)\//i);
+    if (match) {
+      return `/assets/components/${match[1]}/connector.php`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Ensure connector path starts with a slash
+   */
+  private normalizeConnectorPath(path: string): string {
+    return path.startsWith('/') ? path : '/' + path;
+  }
+}
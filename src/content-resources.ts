@@ -0,0 +1,278 @@
+import { Resource, ResourceTemplate } from '@modelcontextprotocol/sdk/types.js';
+import { ModxProxyService } from './modx-proxy.js';
+
+/**
+ * How a kind of MODX object is listed and read through processors
+ */
+interface ContentKind {
+  listAction: string;
+  getAction: string;
+  // Field used in the URI: numeric id or element name
+  key: 'id' | 'name';
+  titleField: string;
+  // Field holding the body; other fields are returned as JSON metadata
+  contentField?: string;
+  mimeType: string;
+  description: string;
+}
+
+const CONTENT_KINDS: Record<string, ContentKind> = {
+  resource: {
+    listAction: 'resource/getlist',
+    getAction: 'resource/get',
+    key: 'id',
+    titleField: 'pagetitle',
+    contentField: 'content',
+    mimeType: 'text/html',
+    description: 'MODX resource (page) by id',
+  },
+  chunk: {
+    listAction: 'element/chunk/getlist',
+    getAction: 'element/chunk/get',
+    key: 'name',
+    titleField: 'name',
+    contentField: 'snippet',
+    mimeType: 'text/html',
+    description: 'MODX chunk by name',
+  },
+  template: {
+    listAction: 'element/template/getlist',
+    getAction: 'element/template/get',
+    key: 'id',
+    titleField: 'templatename',
+    contentField: 'content',
+    mimeType: 'text/html',
+    description: 'MODX template by id',
+  },
+  snippet: {
+    listAction: 'element/snippet/getlist',
+    getAction: 'element/snippet/get',
+    key: 'name',
+    titleField: 'name',
+    contentField: 'snippet',
+    mimeType: 'text/x-php',
+    description: 'MODX snippet by name',
+  },
+  tv: {
+    listAction: 'element/tv/getlist',
+    getAction: 'element/tv/get',
+    key: 'name',
+    titleField: 'name',
+    mimeType: 'application/json',
+    description: 'MODX template variable by name',
+  },
+};
+
+const KIND_NAMES = Object.keys(CONTENT_KINDS);
+
+const PAGE_SIZE = 100;
+
+interface ListCursor {
+  site: number;
+  kind: number;
+  start: number;
+}
+
+/**
+ * MODX content exposed as MCP resources: modx://resource/{id}, modx://chunk/{name} and so on.
+ * With several sites the site name comes first: modx://staging/resource/{id}.
+ */
+export class ContentResources {
+  private sites: Map<string, ModxProxyService>;
+  private multiSite: boolean;
+  private isAllowed: (site: string, action: string) => boolean;
+
+  /**
+   * @param isAllowed Whether the processor behind a resource may be called on the site
+   */
+  constructor(
+    sites: Map<string, ModxProxyService>,
+    multiSite: boolean,
+    isAllowed: (site: string, action: string) => boolean = () => true
+  ) {
+    this.sites = sites;
+    this.multiSite = multiSite;
+    this.isAllowed = isAllowed;
+  }
+
+  /**
+   * Resource templates for every kind (and site)
+   */
+  listTemplates(): ResourceTemplate[] {
+    const templates: ResourceTemplate[] = [];
+
+    for (const site of this.multiSite ? this.sites.keys() : ['']) {
+      for (const [kind, config] of Object.entries(CONTENT_KINDS)) {
+        templates.push({
+          uriTemplate: `${this.uriPrefix(site)}${kind}/{${config.key}}`,
+          name: `${site ? `${site} ` : ''}${kind}`,
+          description: config.description,
+          mimeType: config.mimeType,
+        });
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * One page of resources. Walks every kind of every authenticated site, PAGE_SIZE items per call.
+   */
+  async list(cursor?: string): Promise<{ resources: Resource[]; nextCursor?: string }> {
+    const siteNames = [...this.sites.keys()];
+    let position = cursor ? this.decodeCursor(cursor) : { site: 0, kind: 0, start: 0 };
+
+    while (position.site < siteNames.length) {
+      const site = siteNames[position.site];
+      const kind = KIND_NAMES[position.kind];
+      const config = CONTENT_KINDS[kind];
+      const modxProxy = this.sites.get(site)!;
+
+      if (modxProxy.getSessionInfo().isAuthenticated && this.isAllowed(site, config.listAction)) {
+        let result;
+        try {
+          result = await modxProxy.callProcessor('core', config.listAction, {
+            start: position.start,
+            limit: PAGE_SIZE,
+            sort: 'id',
+            dir: 'ASC',
+          });
+        } catch (error) {
+          // One failing list (e.g. missing permission) should not hide the rest
+          console.error(`Failed to list ${kind} resources of ${site}:`, error instanceof Error ? error.message : error);
+          position = this.nextKind(position);
+          continue;
+        }
+
+        const items: any[] = Array.isArray(result.results) ? result.results : [];
+        const total = parseInt(String(result.total ?? items.length), 10) || 0;
+
+        const resources = items
+          .filter(item => item && item[config.key] !== undefined && item[config.key] !== '')
+          .map(item => ({
+            uri: `${this.uriPrefix(this.multiSite ? site : '')}${kind}/${encodeURIComponent(String(item[config.key]))}`,
+            name: String(item[config.titleField] ?? item[config.key]),
+            description: item.description || item.longtitle || undefined,
+            mimeType: config.mimeType,
+          }));
+
+        const nextStart = position.start + items.length;
+        const next = items.length > 0 && nextStart < total
+          ? { ...position, start: nextStart }
+          : this.nextKind(position);
+
+        if (resources.length > 0 || next.site >= siteNames.length) {
+          return {
+            resources,
+            nextCursor: next.site < siteNames.length ? this.encodeCursor(next) : undefined,
+          };
+        }
+
+        position = next;
+        continue;
+      }
+
+      position = this.nextKind(position);
+    }
+
+    return { resources: [] };
+  }
+
+  /**
+   * Read a resource by URI
+   */
+  async read(uri: string): Promise<Array<{ uri: string; mimeType: string; text: string }>> {
+    const { site, kind, key } = this.parseUri(uri);
+    const config = CONTENT_KINDS[kind];
+    const modxProxy = this.sites.get(site)!;
+
+    if (!this.isAllowed(site, config.getAction)) {
+      throw new Error(`Reading ${kind} is not allowed on this server`);
+    }
+
+    const id = config.key === 'id' ? key : await this.findIdByName(site, modxProxy, config, key);
+    const result = await modxProxy.callProcessor('core', config.getAction, { id });
+    if (!result.success || !result.object) {
+      throw new Error(result.message || `${kind} ${key} not found`);
+    }
+
+    const object = { ...result.object };
+    const contents = [];
+
+    if (config.contentField) {
+      contents.push({
+        uri,
+        mimeType: config.mimeType,
+        text: String(object[config.contentField] ?? ''),
+      });
+      delete object[config.contentField];
+    }
+
+    contents.push({
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(object, null, 2),
+    });
+
+    return contents;
+  }
+
+  /**
+   * Resolve element name to id through the getlist processor
+   */
+  private async findIdByName(site: string, modxProxy: ModxProxyService, config: ContentKind, name: string): Promise<string> {
+    if (!this.isAllowed(site, config.listAction)) {
+      throw new Error('Looking up elements by name is not allowed on this server');
+    }
+
+    const result = await modxProxy.callProcessor('core', config.listAction, { query: name, limit: 0 });
+    const items: any[] = Array.isArray(result.results) ? result.results : [];
+    const match = items.find(item => item && item.name === name);
+    if (!match) {
+      throw new Error(`Element "${name}" not found`);
+    }
+    return String(match.id);
+  }
+
+  /**
+   * Split modx://[site/]kind/key into its parts
+   */
+  private parseUri(uri: string): { site: string; kind: string; key: string } {
+    const match = uri.match(/^modx:\/\/(.+)$/);
+    const parts = match ? match[1].split('/') : [];
+    const site = this.multiSite ? parts.shift() : this.sites.keys().next().value;
+
+    if (!site || !this.sites.has(site) || parts.length !== 2 || !CONTENT_KINDS[parts[0]] || !parts[1]) {
+      throw new Error(`Unknown resource URI: ${uri}`);
+    }
+
+    return { site, kind: parts[0], key: decodeURIComponent(parts[1]) };
+  }
+
+  private uriPrefix(site: string): string {
+    return site ? `modx://${site}/` : 'modx://';
+  }
+
+  private nextKind(position: ListCursor): ListCursor {
+    return position.kind + 1 < KIND_NAMES.length
+      ? { site: position.site, kind: position.kind + 1, start: 0 }
+      : { site: position.site + 1, kind: 0, start: 0 };
+  }
+
+  private encodeCursor(position: ListCursor): string {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  private decodeCursor(cursor: string): ListCursor {
+    try {
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if ([position.site, position.kind, position.start].every(value => Number.isInteger(value) && value >= 0)
+        && position.kind < KIND_NAMES.length) {
+        return position;
+      }
+    } catch (e) {
+      // Fall through to error below
+    }
+    throw new Error('Invalid cursor');
+  }
+}
@@ -0,0 +1,165 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * Non-JSON processor response: a text or binary file
+ */
+export interface DownloadedFile {
+  filename: string;
+  mimeType: string;
+  // Size of the body in bytes
+  size: number;
+  // Text files: content, cut to the text limit
+  text?: string;
+  truncated?: boolean;
+  // Binary files: base64 content when returned inline, or the local path they were saved to
+  base64?: string;
+  savedTo?: string;
+}
+
+export interface DownloadOptions {
+  // Save binary files here instead of returning them inline
+  directory?: string;
+  // Largest binary returned inline
+  maxInlineBytes: number;
+  // Longest text returned; 0 disables the limit
+  maxTextChars: number;
+}
+
+// Non-text/* types that are still text
+const TEXT_TYPES = /^(application\/(json|.*\+json|xml|.*\+xml|javascript|x-javascript|x-php|x-httpd-php|sql|csv|x-sh)|image\/svg\+xml)$/;
+
+/**
+ * MIME type and charset from a Content-Type header
+ */
+export function parseContentType(header: unknown): { mimeType: string; charset?: string } {
+  const [mimeType, ...params] = String(header || '').split(';').map(part => part.trim());
+  const charset = params.find(param => /^charset=/i.test(param))?.split('=')[1]?.replace(/"/g, '');
+  return { mimeType: mimeType.toLowerCase(), charset };
+}
+
+/**
+ * Whether a body is text: by MIME type, or by the absence of NUL bytes when the type is unknown
+ */
+export function isTextBody(mimeType: string, body: Buffer): boolean {
+  if (mimeType.startsWith('text/') || TEXT_TYPES.test(mimeType)) {
+    return true;
+  }
+  if (mimeType && mimeType !== 'application/octet-stream') {
+    return false;
+  }
+  return !body.subarray(0, 1024).includes(0);
+}
+
+/**
+ * File name from a Content-Disposition header
+ */
+export function filenameFromDisposition(header: unknown): string | undefined {
+  const value = String(header || '');
+  const encoded = value.match(/filename\*\s*=\s*(?:[\w-]+)?''([^;]+)/i);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1].trim());
+    } catch (e) {
+      // Fall back to the plain filename parameter
+    }
+  }
+  return value.match(/filename\s*=\s*"?([^";]+)"?/i)?.[1].trim();
+}
+
+/**
+ * Turns non-JSON connector responses into text or binary files
+ */
+export class DownloadHandler {
+  private options: DownloadOptions;
+
+  constructor(options: DownloadOptions) {
+    this.options = options;
+  }
+
+  /**
+   * Handler configured by MODX_DOWNLOAD_DIR, MODX_MAX_INLINE_DOWNLOAD_BYTES (default 5 MB)
+   * and MODX_MAX_TEXT_DOWNLOAD_CHARS (default 50000)
+   */
+  static fromEnv(): DownloadHandler {
+    const maxInlineBytes = parseInt(process.env.MODX_MAX_INLINE_DOWNLOAD_BYTES || '', 10);
+    const maxTextChars = parseInt(process.env.MODX_MAX_TEXT_DOWNLOAD_CHARS || '', 10);
+    return new DownloadHandler({
+      directory: process.env.MODX_DOWNLOAD_DIR || undefined,
+      maxInlineBytes: Number.isNaN(maxInlineBytes) ? 5 * 1024 * 1024 : maxInlineBytes,
+      maxTextChars: Number.isNaN(maxTextChars) ? 50000 : maxTextChars,
+    });
+  }
+
+  /**
+   * Build file from a response body. Binary files too large to inline, with no download directory, are rejected.
+   */
+  async handle(body: Buffer, headers: Record<string, any>): Promise<DownloadedFile> {
+    const { mimeType, charset } = parseContentType(headers['content-type']);
+    const filename = path.basename(filenameFromDisposition(headers['content-disposition']) || 'download');
+    const file: DownloadedFile = { filename, mimeType: mimeType || 'application/octet-stream', size: body.length };
+
+    if (isTextBody(mimeType, body)) {
+      const encoding = charset && Buffer.isEncoding(charset.toLowerCase()) ? charset.toLowerCase() as BufferEncoding : 'utf8';
+      const text = body.toString(encoding);
+      const limit = this.options.maxTextChars;
+      file.text = limit > 0 && text.length > limit ? text.substring(0, limit) : text;
+      if (file.text.length < text.length) {
+        file.truncated = true;
+      }
+      return file;
+    }
+
+    if (this.options.directory) {
+      file.savedTo = await this.save(filename, body);
+      return file;
+    }
+
+    if (body.length > this.options.maxInlineBytes) {
+      throw new Error(
+        `Downloaded file ${filename} (${body.length} bytes) exceeds MODX_MAX_INLINE_DOWNLOAD_BYTES; ` +
+        'set MODX_DOWNLOAD_DIR to save downloads to disk'
+      );
+    }
+    file.base64 = body.toString('base64');
+    return file;
+  }
+
+  /**
+   * Write body to the download directory under a unique name
+   */
+  private async save(filename: string, body: Buffer): Promise<string> {
+    const directory = path.resolve(this.options.directory!);
+    await fs.mkdir(directory, { recursive: true });
+
+    const unique = `${new Date().toISOString().replace(/[:.]/g, '-')}-${randomBytes(3).toString('hex')}-${filename}`;
+    const target = path.join(directory, unique);
+    await fs.writeFile(target, body, { mode: 0o600 });
+    return target;
+  }
+}
+
+/**
+ * MCP content for a processor result carrying a download: a JSON summary plus the file as an embedded resource
+ */
+export function downloadToContent(result: Record<string, any>): Array<Record<string, any>> {
+  const { text, base64, ...summary } = result.download as DownloadedFile;
+  const content: Array<Record<string, any>> = [
+    {
+      type: 'text',
+      text: JSON.stringify({ ...result, download: summary }, null, 2),
+    },
+  ];
+
+  const uri = summary.savedTo
+    ? `file://${summary.savedTo}`
+    : `modx-download:///${encodeURIComponent(summary.filename)}`;
+
+  if (text !== undefined) {
+    content.push({ type: 'resource', resource: { uri, mimeType: summary.mimeType, text } });
+  } else if (base64 !== undefined) {
+    content.push({ type: 'resource', resource: { uri, mimeType: summary.mimeType, blob: base64 } });
+  }
+  return content;
+}
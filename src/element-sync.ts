@@ -0,0 +1,600 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+export type ElementKind = 'chunk' | 'snippet' | 'template' | 'plugin';
+
+/**
+ * How an element kind is stored in MODX and on disk
+ */
+interface KindConfig {
+  directory: string;
+  nameField: string;
+  contentField: string;
+  extension: string;
+}
+
+const KINDS: Record<ElementKind, KindConfig> = {
+  chunk: { directory: 'chunks', nameField: 'name', contentField: 'snippet', extension: '.html' },
+  snippet: { directory: 'snippets', nameField: 'name', contentField: 'snippet', extension: '.php' },
+  template: { directory: 'templates', nameField: 'templatename', contentField: 'content', extension: '.html' },
+  plugin: { directory: 'plugins', nameField: 'name', contentField: 'plugincode', extension: '.php' },
+};
+
+export const ELEMENT_KINDS = Object.keys(KINDS) as ElementKind[];
+
+// Sync state kept in the root of the sync directory
+const STATE_FILE = '.modx-sync.json';
+
+// Sidecar with element metadata next to each content file
+const SIDECAR_SUFFIX = '.meta.json';
+
+export type SyncStatus =
+  | 'unchanged'
+  | 'local-modified'
+  | 'remote-modified'
+  | 'conflict'
+  | 'new-remote'
+  | 'deleted-local'
+  | 'deleted-remote';
+
+export interface SyncItem {
+  kind: ElementKind;
+  id: number;
+  name: string;
+  // Content file, relative to the sync directory
+  file: string;
+  status: SyncStatus;
+  // What pull/push did: pulled, pushed, removed, skipped, conflict or failed
+  action?: string;
+  message?: string;
+}
+
+export interface SyncReport {
+  directory: string;
+  operation: 'status' | 'pull' | 'push';
+  summary: Record<string, number>;
+  items: SyncItem[];
+}
+
+/**
+ * Runs a processor on the synced site
+ */
+export type SyncExecutor = (namespace: string, action: string, args: Record<string, any>) => Promise<Record<string, any>>;
+
+interface TrackedElement {
+  kind: ElementKind;
+  id: number;
+  name: string;
+  file: string;
+  // Content hash at the last pull/push
+  hash: string;
+}
+
+interface SyncState {
+  site: string;
+  syncedAt?: string;
+  elements: Record<string, TrackedElement>;
+}
+
+interface RemoteElement {
+  kind: ElementKind;
+  id: number;
+  name: string;
+  category: string;
+  content: string;
+  object: Record<string, any>;
+}
+
+/**
+ * Element state on both sides, compared with the last sync
+ */
+interface Comparison {
+  key: string;
+  kind: ElementKind;
+  remote?: RemoteElement;
+  tracked?: TrackedElement;
+  file: string;
+  // Where pull writes the remote element
+  target?: string;
+  local?: string;
+  status: SyncStatus;
+  // Other tracked elements synced to the same file (left by older versions); such files are never pushed
+  sharedWith?: string[];
+}
+
+/**
+ * Content hash ignoring line ending differences introduced by editors
+ */
+function hashContent(content: string): string {
+  return createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Make a name usable as a file or directory name
+ */
+function safeName(name: string): string {
+  return name.replace(/[^\w.\- ]+/g, '_').replace(/^\.+/, '_').trim() || '_';
+}
+
+/**
+ * Two-way sync of chunks, snippets, templates and plugins with a local directory:
+ * <directory>/<kind>s/<category>/<subcategory>/<name>.<ext> plus a <name>.meta.json sidecar.
+ *
+ * Changes are detected by comparing content hashes of both sides with the hash recorded at the last sync.
+ * Pull writes remote changes to disk, push sends local changes through the update processors;
+ * elements changed on both sides are reported as conflicts and left alone unless forced.
+ */
+export class ElementSync {
+  private site: string;
+  private directory: string;
+  private execute: SyncExecutor;
+  private kinds: ElementKind[];
+
+  constructor(site: string, directory: string, execute: SyncExecutor, kinds: ElementKind[] = ELEMENT_KINDS) {
+    this.site = site;
+    this.directory = path.resolve(directory);
+    this.execute = execute;
+    this.kinds = kinds;
+  }
+
+  /**
+   * Parse comma-separated kinds ("chunk,snippet"); empty means all kinds
+   */
+  static parseKinds(value: unknown): ElementKind[] {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+    const kinds = list.map(item => String(item).trim().toLowerCase().replace(/s$/, '')).filter(item => item !== '');
+    for (const kind of kinds) {
+      if (!ELEMENT_KINDS.includes(kind as ElementKind)) {
+        throw new Error(`Unknown element kind: ${kind} (expected ${ELEMENT_KINDS.join(', ')})`);
+      }
+    }
+    return kinds.length > 0 ? kinds as ElementKind[] : ELEMENT_KINDS;
+  }
+
+  /**
+   * Compare local files and remote elements without changing anything
+   */
+  async status(): Promise<SyncReport> {
+    const comparisons = await this.compare(await this.loadState());
+    return this.report('status', comparisons.map(comparison => this.item(comparison)));
+  }
+
+  /**
+   * Write new and remotely changed elements to disk
+   */
+  async pull(force = false): Promise<SyncReport> {
+    const state = await this.loadState();
+    const items: SyncItem[] = [];
+
+    for (const comparison of await this.compare(state)) {
+      const item = this.item(comparison);
+      items.push(item);
+      const { remote, tracked } = comparison;
+
+      try {
+        switch (comparison.status) {
+          case 'new-remote':
+          case 'remote-modified':
+            await this.writeElement(state, comparison, remote!);
+            item.action = 'pulled';
+            break;
+          case 'unchanged':
+            // Start tracking elements whose local copy already matches
+            if (!tracked && remote) {
+              await this.writeElement(state, comparison, remote);
+            }
+            break;
+          case 'conflict':
+          case 'deleted-local':
+            if (force && remote) {
+              await this.writeElement(state, comparison, remote);
+              item.action = 'pulled';
+            } else if (force) {
+              // Shared file of an element deleted in MODX: keep the file for the other element
+              delete state.elements[comparison.key];
+              item.action = 'removed';
+            } else {
+              item.action = comparison.status === 'conflict' ? 'conflict' : 'skipped';
+              item.message = comparison.sharedWith
+                ? `File is shared with ${comparison.sharedWith.join(', ')}; pull with force to split it`
+                : comparison.status === 'conflict'
+                  ? 'Changed locally and in MODX; pull with force to overwrite the local file'
+                  : 'Deleted locally; pull with force to restore it';
+            }
+            break;
+          case 'deleted-remote':
+            if (comparison.local === undefined || hashContent(comparison.local) === tracked!.hash || force) {
+              await this.removeFile(comparison.file);
+              delete state.elements[comparison.key];
+              item.action = 'removed';
+            } else {
+              item.action = 'conflict';
+              item.message = 'Deleted in MODX but changed locally; pull with force to remove the local file';
+            }
+            break;
+          case 'local-modified':
+            item.action = 'skipped';
+            item.message = 'Local changes not pushed yet';
+            break;
+        }
+      } catch (error) {
+        item.action = 'failed';
+        item.message = error instanceof Error ? error.message : 'Unknown error';
+      }
+    }
+
+    await this.saveState(state);
+    return this.report('pull', items);
+  }
+
+  /**
+   * Send locally changed elements to MODX through the update processors
+   */
+  async push(force = false): Promise<SyncReport> {
+    const state = await this.loadState();
+    const items: SyncItem[] = [];
+
+    for (const comparison of await this.compare(state)) {
+      const item = this.item(comparison);
+      items.push(item);
+
+      const pushable = comparison.status === 'local-modified'
+        || (comparison.status === 'conflict' && force && comparison.tracked && !comparison.sharedWith);
+      if (!pushable) {
+        if (comparison.sharedWith) {
+          item.action = 'conflict';
+          item.message = `File is shared with ${comparison.sharedWith.join(', ')}; pull with force to split it`;
+        } else if (comparison.status === 'conflict') {
+          item.action = 'conflict';
+          item.message = comparison.tracked
+            ? 'Changed locally and in MODX; pull to merge, or push with force to overwrite MODX'
+            : 'Local file differs from MODX and was never synced; pull with force first';
+        }
+        continue;
+      }
+
+      try {
+        const { remote, tracked } = comparison;
+        const config = KINDS[comparison.kind];
+        const sidecar = await this.readSidecar(comparison.file);
+        const result = await this.execute('core', `element/${comparison.kind}/update`, {
+          ...remote!.object,
+          id: tracked!.id,
+          ...(typeof sidecar?.description === 'string' ? { description: sidecar.description } : {}),
+          [config.contentField]: comparison.local,
+        });
+
+        if (result.success === false) {
+          item.action = 'failed';
+          item.message = result.message || 'Update failed';
+          continue;
+        }
+
+        state.elements[comparison.key] = { ...tracked!, hash: hashContent(comparison.local!) };
+        item.action = 'pushed';
+      } catch (error) {
+        item.action = 'failed';
+        item.message = error instanceof Error ? error.message : 'Unknown error';
+      }
+    }
+
+    await this.saveState(state);
+    return this.report('push', items);
+  }
+
+  /**
+   * Match remote elements, tracked elements and local files
+   */
+  private async compare(state: SyncState): Promise<Comparison[]> {
+    const remotes = new Map<string, RemoteElement>();
+    for (const remote of await this.loadRemote()) {
+      remotes.set(`${remote.kind}:${remote.id}`, remote);
+    }
+
+    const keys = new Set<string>([
+      ...remotes.keys(),
+      ...Object.keys(state.elements).filter(key => this.kinds.includes(state.elements[key].kind)),
+    ]);
+
+    const targets = this.assignFiles([...remotes.values()], state);
+    const trackedFiles = new Map<string, string[]>();
+    for (const [key, tracked] of Object.entries(state.elements)) {
+      const file = tracked.file.toLowerCase();
+      trackedFiles.set(file, [...(trackedFiles.get(file) || []), key]);
+    }
+
+    const comparisons: Comparison[] = [];
+    for (const key of keys) {
+      const remote = remotes.get(key);
+      const tracked = state.elements[key];
+      const kind = (remote?.kind || tracked!.kind);
+      const target = targets.get(key);
+      const file = tracked?.file || target!;
+      const local = await this.readFile(file);
+      const sharedWith = tracked ? trackedFiles.get(file.toLowerCase())!.filter(other => other !== key) : [];
+
+      comparisons.push({
+        key,
+        kind,
+        remote,
+        tracked,
+        file,
+        target,
+        local,
+        status: sharedWith.length > 0 ? 'conflict' : this.statusOf(remote, tracked, local),
+        ...(sharedWith.length > 0 ? { sharedWith } : {}),
+      });
+    }
+
+    return comparisons.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  /**
+   * File of each remote element. Elements keep the file they were synced to; names that would share a path
+   * (compared case-insensitively, for case-insensitive file systems) get the element id appended: header_.2.html
+   */
+  private assignFiles(remotes: RemoteElement[], state: SyncState): Map<string, string> {
+    const keyOf = (remote: RemoteElement) => `${remote.kind}:${remote.id}`;
+
+    // Lower-cased path => key of the element using it, '' when several tracked elements share it
+    const claimed = new Map<string, string>();
+    for (const [key, tracked] of Object.entries(state.elements)) {
+      const file = tracked.file.toLowerCase();
+      claimed.set(file, claimed.has(file) ? '' : key);
+    }
+
+    const counts = new Map<string, number>();
+    for (const remote of remotes) {
+      const file = this.fileFor(remote).toLowerCase();
+      counts.set(file, (counts.get(file) || 0) + 1);
+    }
+
+    const files = new Map<string, string>();
+    const pending: RemoteElement[] = [];
+    for (const remote of remotes) {
+      const key = keyOf(remote);
+      const tracked = state.elements[key];
+      const current = tracked?.file.toLowerCase();
+      const expected = [this.fileFor(remote), this.fileFor(remote, true)].map(file => file.toLowerCase());
+      if (current && claimed.get(current) === key && expected.includes(current)) {
+        files.set(key, tracked.file);
+      } else {
+        pending.push(remote);
+      }
+    }
+
+    for (const remote of pending) {
+      const key = keyOf(remote);
+      const file = this.fileFor(remote);
+      const owner = claimed.get(file.toLowerCase());
+      const unique = counts.get(file.toLowerCase()) === 1 && (owner === undefined || owner === key);
+      const assigned = unique ? file : this.fileFor(remote, true);
+      files.set(key, assigned);
+      claimed.set(assigned.toLowerCase(), key);
+    }
+    return files;
+  }
+
+  private statusOf(remote: RemoteElement | undefined, tracked: TrackedElement | undefined, local: string | undefined): SyncStatus {
+    const localHash = local !== undefined ? hashContent(local) : undefined;
+    const remoteHash = remote ? hashContent(remote.content) : undefined;
+
+    if (!tracked) {
+      if (localHash === undefined) {
+        return 'new-remote';
+      }
+      return localHash === remoteHash ? 'unchanged' : 'conflict';
+    }
+    if (!remote) {
+      return 'deleted-remote';
+    }
+    if (localHash === undefined) {
+      return 'deleted-local';
+    }
+
+    const localChanged = localHash !== tracked.hash;
+    const remoteChanged = remoteHash !== tracked.hash;
+    if (localChanged && remoteChanged) {
+      return localHash === remoteHash ? 'unchanged' : 'conflict';
+    }
+    if (localChanged) {
+      return 'local-modified';
+    }
+    return remoteChanged ? 'remote-modified' : 'unchanged';
+  }
+
+  /**
+   * All elements of the synced kinds, with content and category path
+   */
+  private async loadRemote(): Promise<RemoteElement[]> {
+    const categories = await this.loadCategories();
+    const elements: RemoteElement[] = [];
+
+    for (const kind of this.kinds) {
+      const config = KINDS[kind];
+      const list = await this.execute('core', `element/${kind}/getlist`, { start: 0, limit: 0 });
+      if (list.success === false) {
+        throw new Error(`Failed to list ${kind}s: ${list.message || 'unknown error'}`);
+      }
+
+      for (const item of Array.isArray(list.results) ? list.results : []) {
+        if (!item || item.id === undefined) {
+          continue;
+        }
+
+        // Lists may omit the content; read it through the get processor then
+        let object = item;
+        if (typeof item[config.contentField] !== 'string') {
+          const result = await this.execute('core', `element/${kind}/get`, { id: item.id });
+          if (result.success === false || !result.object) {
+            throw new Error(`Failed to read ${kind} ${item.id}: ${result.message || 'not found'}`);
+          }
+          object = result.object;
+        }
+
+        elements.push({
+          kind,
+          id: parseInt(String(object.id), 10),
+          name: String(object[config.nameField] ?? item[config.nameField] ?? object.id),
+          category: categories.get(String(object.category ?? item.category ?? 0)) || '',
+          content: String(object[config.contentField] ?? ''),
+          object,
+        });
+      }
+    }
+
+    return elements;
+  }
+
+  /**
+   * Category id => nested directory path ("Layout/Header")
+   */
+  private async loadCategories(): Promise<Map<string, string>> {
+    const result = await this.execute('core', 'element/category/getlist', { start: 0, limit: 0 });
+    const items: any[] = Array.isArray(result.results) ? result.results : [];
+    const byId = new Map(items.map(item => [String(item.id), item]));
+    const paths = new Map<string, string>();
+
+    const pathOf = (id: string, depth = 0): string => {
+      const item = byId.get(id);
+      if (!item || depth > 20) {
+        return '';
+      }
+      const parent = item.parent && String(item.parent) !== '0' ? pathOf(String(item.parent), depth + 1) : '';
+      const name = safeName(String(item.category ?? item.name ?? id));
+      return parent ? `${parent}/${name}` : name;
+    };
+
+    for (const id of byId.keys()) {
+      paths.set(id, pathOf(id));
+    }
+    return paths;
+  }
+
+  /**
+   * Write content and sidecar of a remote element and record it as synced
+   */
+  private async writeElement(state: SyncState, comparison: Comparison, remote: RemoteElement): Promise<void> {
+    const file = comparison.target!;
+
+    // Element renamed or moved to another category in MODX; a shared file stays for the other element
+    if (comparison.tracked && comparison.tracked.file !== file && !comparison.sharedWith) {
+      await this.removeFile(comparison.tracked.file);
+    }
+
+    const absolute = this.resolve(file);
+    await fs.mkdir(path.dirname(absolute), { recursive: true });
+    await fs.writeFile(absolute, remote.content);
+    await fs.writeFile(this.sidecarPath(absolute), JSON.stringify({
+      kind: remote.kind,
+      id: remote.id,
+      name: remote.name,
+      category: remote.category,
+      description: remote.object.description ?? '',
+    }, null, 2) + '\n');
+
+    state.elements[comparison.key] = {
+      kind: remote.kind,
+      id: remote.id,
+      name: remote.name,
+      file,
+      hash: hashContent(remote.content),
+    };
+  }
+
+  private fileFor(remote: RemoteElement, withId = false): string {
+    const config = KINDS[remote.kind];
+    const name = safeName(remote.name) + (withId ? `.${remote.id}` : '');
+    return path.posix.join(config.directory, remote.category, `${name}${config.extension}`);
+  }
+
+  /**
+   * Absolute path of a file inside the sync directory
+   */
+  private resolve(file: string): string {
+    const absolute = path.resolve(this.directory, file);
+    if (!absolute.startsWith(this.directory + path.sep)) {
+      throw new Error(`File ${file} is outside the sync directory`);
+    }
+    return absolute;
+  }
+
+  private sidecarPath(absolute: string): string {
+    return absolute.replace(/\.[^./]+$/, '') + SIDECAR_SUFFIX;
+  }
+
+  private async readFile(file: string): Promise<string | undefined> {
+    try {
+      return await fs.readFile(this.resolve(file), 'utf8');
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  private async readSidecar(file: string): Promise<Record<string, any> | undefined> {
+    try {
+      return JSON.parse(await fs.readFile(this.sidecarPath(this.resolve(file)), 'utf8'));
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  private async removeFile(file: string): Promise<void> {
+    const absolute = this.resolve(file);
+    await fs.rm(absolute, { force: true });
+    await fs.rm(this.sidecarPath(absolute), { force: true });
+  }
+
+  private async loadState(): Promise<SyncState> {
+    try {
+      const state: SyncState = JSON.parse(await fs.readFile(path.join(this.directory, STATE_FILE), 'utf8'));
+      if (state.site !== this.site) {
+        throw new Error(`Sync directory ${this.directory} belongs to site "${state.site}"`);
+      }
+      return { ...state, elements: state.elements || {} };
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return { site: this.site, elements: {} };
+      }
+      throw error;
+    }
+  }
+
+  private async saveState(state: SyncState): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true });
+    state.syncedAt = new Date().toISOString();
+    await fs.writeFile(path.join(this.directory, STATE_FILE), JSON.stringify(state, null, 2) + '\n');
+  }
+
+  private item(comparison: Comparison): SyncItem {
+    return {
+      kind: comparison.kind,
+      id: comparison.remote?.id ?? comparison.tracked!.id,
+      name: comparison.remote?.name ?? comparison.tracked!.name,
+      file: comparison.file,
+      status: comparison.status,
+    };
+  }
+
+  /**
+   * Report with counts by action (or by status for "status"), leaving out unchanged elements
+   */
+  private report(operation: SyncReport['operation'], items: SyncItem[]): SyncReport {
+    const summary: Record<string, number> = {};
+    for (const item of items) {
+      const key = item.action || item.status;
+      summary[key] = (summary[key] || 0) + 1;
+    }
+
+    return {
+      directory: this.directory,
+      operation,
+      summary,
+      items: items.filter(item => item.action || item.status !== 'unchanged'),
+    };
+  }
+}
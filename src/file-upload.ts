@@ -0,0 +1,105 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+
+/**
+ * File argument of a processor: a local file (inside MODX_UPLOAD_DIR) or base64 content
+ */
+export interface FileInput {
+  path?: string;
+  content?: string;
+  filename?: string;
+  mimeType?: string;
+}
+
+/**
+ * File ready to be sent as a multipart field
+ */
+export interface UploadFile {
+  buffer: Buffer;
+  filename: string;
+  mimeType: string;
+}
+
+// Catalog parameter types sent as multipart file fields
+const FILE_TYPES = ['file', 'upload'];
+
+const MIME_TYPES: Record<string, string> = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.csv': 'text/csv',
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp4': 'video/mp4',
+  '.mp3': 'audio/mpeg',
+};
+
+/**
+ * Whether a catalog parameter type denotes a file
+ */
+export function isFileType(type: string | undefined): boolean {
+  return FILE_TYPES.includes((type || '').toLowerCase());
+}
+
+/**
+ * Whether a value looks like a FileInput object
+ */
+export function isFileInput(value: any): value is FileInput {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+    && (typeof value.path === 'string' || typeof value.content === 'string');
+}
+
+/**
+ * MIME type guessed from the file extension
+ */
+export function guessMimeType(filename: string): string {
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Load file content. Local paths are only readable inside uploadDir, so a client cannot
+ * send arbitrary files of the server machine to a MODX site.
+ */
+export async function loadFileInput(input: FileInput, uploadDir?: string): Promise<UploadFile> {
+  if (typeof input.content === 'string') {
+    if (!input.filename) {
+      throw new Error('"filename" is required when file content is given');
+    }
+    const filename = path.basename(input.filename);
+    return {
+      buffer: Buffer.from(input.content, 'base64'),
+      filename,
+      mimeType: input.mimeType || guessMimeType(filename),
+    };
+  }
+
+  if (!uploadDir) {
+    throw new Error('Uploading local files is disabled; set MODX_UPLOAD_DIR or pass base64 "content" with "filename"');
+  }
+
+  const root = await fs.realpath(uploadDir);
+  const file = await fs.realpath(path.resolve(root, input.path!));
+  if (file !== root && !file.startsWith(root + path.sep)) {
+    throw new Error(`File ${input.path} is outside MODX_UPLOAD_DIR`);
+  }
+
+  const filename = path.basename(input.filename || file);
+  return {
+    buffer: await fs.readFile(file),
+    filename,
+    mimeType: input.mimeType || guessMimeType(filename),
+  };
+}
@@ -0,0 +1,215 @@
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { createServer as createHttpServer, IncomingMessage, Server as HttpServer, ServerResponse } from 'http';
+import { isIP } from 'net';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export interface HttpTransportOptions {
+  host: string;
+  port: number;
+  // Bearer token clients must send; without it the endpoint is open
+  authToken?: string;
+}
+
+// Endpoints: Streamable HTTP on MCP_PATH, legacy SSE stream on SSE_PATH with messages posted to MESSAGES_PATH
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * Write JSON-RPC style error response
+ */
+function sendError(res: ServerResponse, status: number, message: string): void {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  }));
+}
+
+/**
+ * Read and parse JSON request body
+ */
+async function readJsonBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error('Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Check Authorization: Bearer header against the configured token
+ */
+function isAuthorized(req: IncomingMessage, authToken?: string): boolean {
+  if (!authToken) {
+    return true;
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+
+  const expected = Buffer.from(authToken);
+  const received = Buffer.from(match[1].trim());
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+/**
+ * Protect an endpoint without token from DNS rebinding: the Host header must be the bind address,
+ * a loopback name or an IP literal (a rebound domain name is none of these), and a browser Origin must match it
+ */
+function isAllowedOrigin(req: IncomingMessage, bindHost: string): boolean {
+  let host: URL;
+  try {
+    host = new URL(`http://${req.headers.host || ''}`);
+  } catch (e) {
+    return false;
+  }
+
+  const hostname = host.hostname.replace(/^\[|\]$/g, '');
+  if (!LOOPBACK_HOSTS.includes(hostname) && hostname !== bindHost && isIP(hostname) === 0) {
+    return false;
+  }
+
+  if (req.headers.origin === undefined) {
+    return true;
+  }
+  try {
+    return new URL(req.headers.origin).host === host.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Serve MCP over HTTP. Every client session gets its own MCP server from the factory,
+ * while the factory shares MODX sessions between them.
+ */
+export async function startHttpTransport(createServer: () => Server, options: HttpTransportOptions): Promise<HttpServer> {
+  const streamableTransports = new Map<string, StreamableHTTPServerTransport>();
+  const sseTransports = new Map<string, SSEServerTransport>();
+
+  if (!options.authToken && !LOOPBACK_HOSTS.includes(options.host)) {
+    console.error(`Warning: HTTP transport listens on ${options.host} without MODX_MCP_HTTP_TOKEN - anyone reaching it can use the MODX session`);
+  }
+
+  /**
+   * Streamable HTTP: POST messages, GET notification stream, DELETE to end the session
+   */
+  async function handleStreamable(req: IncomingMessage, res: ServerResponse): Promise<void> {
+    const sessionId = req.headers['mcp-session-id'] as string | undefined;
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    let transport = sessionId ? streamableTransports.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId || req.method !== 'POST' || !isInitializeRequest(body)) {
+        sendError(res, sessionId ? 404 : 400, sessionId ? 'Session not found' : 'No valid session ID provided');
+        return;
+      }
+
+      const newTransport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          streamableTransports.set(id, newTransport);
+        },
+      });
+      newTransport.onclose = () => {
+        if (newTransport.sessionId) {
+          streamableTransports.delete(newTransport.sessionId);
+        }
+      };
+
+      await createServer().connect(newTransport);
+      transport = newTransport;
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Legacy HTTP+SSE: open event stream
+   */
+  async function handleSseStream(res: ServerResponse): Promise<void> {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    sseTransports.set(transport.sessionId, transport);
+    res.on('close', () => {
+      sseTransports.delete(transport.sessionId);
+    });
+
+    await createServer().connect(transport);
+  }
+
+  /**
+   * Legacy HTTP+SSE: message posted for an open stream
+   */
+  async function handleSseMessage(req: IncomingMessage, res: ServerResponse, url: URL): Promise<void> {
+    const transport = sseTransports.get(url.searchParams.get('sessionId') || '');
+    if (!transport) {
+      sendError(res, 404, 'Session not found');
+      return;
+    }
+
+    await transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = createHttpServer(async (req, res) => {
+    const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+
+    try {
+      if (!options.authToken && !isAllowedOrigin(req, options.host)) {
+        sendError(res, 403, 'Forbidden host or origin');
+        return;
+      }
+
+      if (!isAuthorized(req, options.authToken)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendError(res, 401, 'Unauthorized');
+        return;
+      }
+
+      if (url.pathname === MCP_PATH) {
+        await handleStreamable(req, res);
+      } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+        await handleSseStream(res);
+      } else if (url.pathname === MESSAGES_PATH && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendError(res, 404, 'Not found');
+      }
+    } catch (error) {
+      console.error('HTTP transport error:', error instanceof Error ? error.message : error);
+      sendError(res, error instanceof SyntaxError ? 400 : 500, error instanceof SyntaxError ? 'Invalid JSON' : 'Internal server error');
+    }
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  return httpServer;
+}
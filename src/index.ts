@@ -3,47 +3,155 @@
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import {
+  CallToolRequest,
   CallToolRequestSchema,
+  GetPromptRequest,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequest,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequest,
+  ReadResourceRequestSchema,
   Tool,
 } from "@modelcontextprotocol/sdk/types.js";
-import { ModxProxyService } from "./modx-proxy.js";
+import { CallOptions, ModxProxyService } from "./modx-proxy.js";
+import { loadSiteProfiles, SiteProfile, UserCredentials } from "./site-profiles.js";
+import { ProcessorFilter } from "./tool-filter.js";
+import { ClassifiableProcessor, MutationClassifier } from "./processor-policy.js";
+import { RequestFailure, RetryPolicy, TimeoutTable } from "./retry-policy.js";
+import { FileInput, isFileType } from "./file-upload.js";
+import { DownloadHandler, downloadToContent } from "./download.js";
+import { BatchStep, parseSteps, runBatch } from "./batch.js";
+import { UndoJournal } from "./undo-journal.js";
+import { ElementSync, ELEMENT_KINDS } from "./element-sync.js";
+import { SiteExecutor } from "./site-executor.js";
+import { ConfirmationManager } from "./confirmation.js";
+import { DEFAULT_MAX_TOOL_NAME_LENGTH, ToolNameRegistry, ToolTarget } from "./tool-naming.js";
+import { startHttpTransport } from "./http-transport.js";
+import { ContentResources } from "./content-resources.js";
+import { PromptLibrary } from "./prompts.js";
+import { formatProcessorResult, parseFields, ResponseFormat } from "./response-format.js";
+import { AuditLog } from "./audit-log.js";
+import { redactor } from "./redact.js";
+import { parseFlag } from "./config-values.js";
 
-const server = new Server(
-  {
-    name: "modx-proxy",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
+// Everything written to the console passes through the redaction layer
+redactor.installConsole();
+
+// Audit log of processor calls, enabled by MODX_AUDIT_LOG
+const auditLog = AuditLog.fromEnv();
+
+// Snapshots taken before update/remove calls, enabled by MODX_UNDO_DIR
+const undoJournal = UndoJournal.fromEnv();
+
+// Classifies processors that modify data (blocked in read-only mode, never retried)
+const mutationClassifier = new MutationClassifier(
+  MutationClassifier.parseOverrides(process.env.MODX_MUTATING_OVERRIDES)
+);
+
+// Retry of transient failures and request timeouts, shared by all sites
+const retryPolicy = RetryPolicy.fromEnv();
+const timeouts = TimeoutTable.fromEnv();
+
+// Non-JSON responses: text with a size limit, binaries inline or saved to MODX_DOWNLOAD_DIR
+const downloads = DownloadHandler.fromEnv();
+
+// Initialize one MODX proxy service per site profile
+const siteProfiles = loadSiteProfiles();
+const sites = new Map<string, ModxProxyService>();
+const processorFilters = new Map<string, ProcessorFilter>();
+const readOnlySites = new Set<string>();
+// Processor calls subject to the tool filter, read-only mode and undo journal
+const executors = new Map<string, SiteExecutor>();
+for (const profile of siteProfiles) {
+  const modxProxy = new ModxProxyService(profile, { auditLog, classifier: mutationClassifier, retryPolicy, timeouts, downloads });
+  const filter = new ProcessorFilter(profile.tools);
+  sites.set(profile.name, modxProxy);
+  processorFilters.set(profile.name, filter);
+  if (profile.readOnly) {
+    readOnlySites.add(profile.name);
   }
+  executors.set(profile.name, new SiteExecutor(profile.name, modxProxy, {
+    filter,
+    classifier: mutationClassifier,
+    readOnly: profile.readOnly,
+    undoJournal,
+    findProcessor: (namespace, action) => findProcessor(profile.name, namespace, action),
+  }));
+}
+
+// With several sites, tool names carry the site name
+const multiSite = sites.size > 1;
+
+// Site content exposed as MCP resources, subject to the same processor filter as tools
+const contentResources = new ContentResources(
+  sites,
+  multiSite,
+  (site, action) => processorFilters.get(site)!.allows('core', action)
 );
 
-// Initialize MODX proxy service
-const modxProxy = new ModxProxyService();
+// Destructive processors require a confirmation token unless MODX_CONFIRM_DESTRUCTIVE=0
+const confirmDestructive = parseFlag(process.env.MODX_CONFIRM_DESTRUCTIVE, true);
+const confirmations = new ConfirmationManager();
+const CONFIRMATION_ARG = '_confirmationToken';
+
+// Opt-in automatic pagination of getlist-style processors
+const ALL_PAGES_ARG = '_all';
+const MAX_ITEMS_ARG = '_maxItems';
+const paginationMaxItems = parseInt(process.env.MODX_PAGINATION_MAX_ITEMS || '', 10) || 1000;
+
+// Response shaping: field projection, list rendering and size limit (MODX_MAX_RESPONSE_CHARS=0 disables it)
+const FIELDS_ARG = '_fields';
+const FORMAT_ARG = '_format';
+const defaultResponseFormat: ResponseFormat = process.env.MODX_RESPONSE_FORMAT === 'table' ? 'table' : 'json';
+const maxResponseChars = parseInt(process.env.MODX_MAX_RESPONSE_CHARS ?? '', 10);
+const responseCharLimit = Number.isNaN(maxResponseChars) ? 50000 : maxResponseChars;
+
+// Per-call request timeout, overriding MODX_REQUEST_TIMEOUT / MODX_PROCESSOR_TIMEOUTS
+const TIMEOUT_ARG = '_timeoutMs';
+
+// Files sent as multipart fields to processors that change data
+const FILES_ARG = '_files';
+
+// Schema of a file argument: local file inside MODX_UPLOAD_DIR or base64 content
+const FILE_INPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    path: { type: "string", description: "Path of a local file, relative to MODX_UPLOAD_DIR" },
+    content: { type: "string", description: "Base64-encoded file content (instead of path)" },
+    filename: { type: "string", description: "File name sent to MODX (required with content)" },
+    mimeType: { type: "string", description: "MIME type (default: guessed from the file name)" },
+  },
+};
 
 // Auto-login on startup if credentials are provided
 async function initializeServer() {
-  const username = process.env.MODX_USERNAME;
-  const password = process.env.MODX_PASSWORD;
-  const baseUrl = process.env.MODX_BASE_URL;
+  for (const profile of siteProfiles) {
+    const modxProxy = sites.get(profile.name)!;
+    const label = multiSite ? ` [${profile.name}]` : '';
 
-  if (username && password) {
-    console.error('Attempting auto-login with provided credentials...');
-    try {
-      const result = await modxProxy.login(username, password, baseUrl);
-      if (result.success) {
-        console.error('Auto-login successful');
-      } else {
-        console.error('Auto-login failed:', result.message);
+    if (profile.username && profile.password) {
+      if (await modxProxy.restoreSession(profile.username, profile.password)) {
+        console.error(`Restored saved MODX session${label}`);
+        continue;
       }
-    } catch (error) {
-      console.error('Auto-login error:', error instanceof Error ? error.message : error);
+
+      console.error(`Attempting auto-login with provided credentials${label}...`);
+      try {
+        const result = await modxProxy.login(profile.username, profile.password, profile.baseUrl);
+        if (result.success) {
+          console.error(`Auto-login successful${label}`);
+        } else {
+          console.error(`Auto-login failed${label}:`, result.message);
+        }
+      } catch (error) {
+        console.error(`Auto-login error${label}:`, error instanceof Error ? error.message : error);
+      }
+    } else {
+      console.error(`No MODX credentials provided${label} - use the modx_login tool to authenticate`);
     }
-  } else {
-    console.error('No MODX credentials provided - server will not be functional');
   }
 }
 
@@ -62,46 +170,150 @@ interface ProcessorInfo {
     default?: any;
     value?: any;
   }>;
+  mutating?: boolean;
+  readonly?: boolean;
 }
 
-// Cache for processors
-let processorsCache: ProcessorInfo[] | null = null;
+// Cache for processors, per site
+const processorsCache = new Map<string, ProcessorInfo[]>();
+
+// Catalog generated_at of each cached site, used to detect catalog changes
+const catalogVersions = new Map<string, string>();
+
+// Names of built-in tools, never assigned to processors
+const BASE_TOOL_NAMES = [
+  "modx_get_session_info",
+  "modx_refresh_processors",
+  "modx_login",
+  "modx_logout",
+  "modx_switch_user",
+  "modx_get_audit_log",
+  "modx_upload_file",
+  "modx_batch",
+  "modx_undo_last",
+  "modx_undo",
+  "modx_get_undo_journal",
+  "modx_sync_status",
+  "modx_sync_pull",
+  "modx_sync_push",
+];
+
+// Reversible processor <-> tool name table, rebuilt whenever processors are loaded
+const toolNames = new ToolNameRegistry<ProcessorInfo>(
+  parseInt(process.env.MODX_TOOL_NAME_MAX_LENGTH || '', 10) || DEFAULT_MAX_TOOL_NAME_LENGTH,
+  BASE_TOOL_NAMES
+);
 
 /**
- * Convert processor namespace/action to tool name
- * Example: core/resource/getlist -> modx_core_resource_getlist
+ * Load processors of every authenticated site into the cache and refresh tool names
  */
-function processorToToolName(namespace: string, action: string): string {
-  const cleanNamespace = namespace.toLowerCase().replace(/[^a-z0-9]/g, '_');
-  const cleanAction = action.toLowerCase().replace(/[^a-z0-9]/g, '_');
-  return `modx_${cleanNamespace}_${cleanAction}`;
+async function loadProcessors(): Promise<void> {
+  let loaded = false;
+
+  for (const [site, modxProxy] of sites) {
+    const label = multiSite ? ` [${site}]` : '';
+
+    // Skip sites already loaded or not logged in
+    if (processorsCache.has(site) || !modxProxy.getSessionInfo().isAuthenticated) {
+      continue;
+    }
+
+    try {
+      console.error(`Loading processors from MODX${label}...`);
+      const catalog = await modxProxy.getProcessors();
+      processorsCache.set(site, catalog.processors);
+      catalogVersions.set(site, catalog.generated_at);
+      console.error(`Loaded ${catalog.processors.length} processors${label}`);
+      loaded = true;
+    } catch (error) {
+      // Skip this site's tools if processors can't be loaded
+      console.error(`Error loading processors${label}:`, error);
+    }
+  }
+
+  if (loaded) {
+    toolNames.rebuild(processorsCache, multiSite);
+  }
 }
 
 /**
- * Convert tool name back to namespace/action
- * Example: modx_core_resource_getlist -> { namespace: 'core', action: 'resource/getlist' }
+ * Convert tool name back to site/namespace/action
+ * Example: modx_core_resource_getlist -> { site: 'default', namespace: 'core', action: 'resource/getlist' }
  */
-function toolNameToProcessor(toolName: string): { namespace: string; action: string } | null {
+function toolNameToProcessor(toolName: string): ToolTarget<ProcessorInfo> | null {
   if (!toolName.startsWith('modx_')) {
     return null;
   }
 
-  // Remove modx_ prefix
-  const remaining = toolName.substring(5);
+  return toolNames.lookup(toolName);
+}
+
+/**
+ * Check whether a processor is blocked because its site is read-only
+ */
+function isBlockedByReadOnly(site: string, processor: ClassifiableProcessor): boolean {
+  return executors.get(site)!.isBlockedByReadOnly(processor);
+}
 
-  // Find original processor by matching tool names
-  if (processorsCache) {
-    for (const processor of processorsCache) {
-      if (processorToToolName(processor.namespace, processor.path) === toolName) {
-        return {
-          namespace: processor.namespace,
-          action: processor.path
-        };
-      }
-    }
+/**
+ * Check whether a processor call must be previewed and confirmed before it runs
+ */
+function requiresConfirmation(processor: ProcessorInfo): boolean {
+  return confirmDestructive && mutationClassifier.isDestructive(processor);
+}
+
+/**
+ * Check whether a processor returns start/limit pages (getlist-style)
+ */
+function isListProcessor(processor: ProcessorInfo): boolean {
+  if (/getlist$/i.test(processor.path.split('/').pop() || '')) {
+    return true;
   }
 
-  return null;
+  const params = (processor.parameters || []).map(param => param.name);
+  return params.includes('start') && params.includes('limit');
+}
+
+/**
+ * Find a cached processor of a site
+ */
+function findProcessor(site: string, namespace: string, path: string): ProcessorInfo | undefined {
+  return processorsCache.get(site)?.find(processor => processor.namespace === namespace && processor.path === path);
+}
+
+/**
+ * Build dry-run preview of a destructive call and issue the token that confirms it
+ */
+async function previewDestructiveCall(site: string, namespace: string, action: string, data: Record<string, any>): Promise<Record<string, any>> {
+  const request = sites.get(site)!.previewProcessorCall(namespace, action, data);
+  const currentState = await executors.get(site)!.currentState(namespace, action, data);
+  const { token, expiresAt } = confirmations.issue(ConfirmationManager.fingerprint(site, namespace, action, data));
+
+  return {
+    success: true,
+    executed: false,
+    requiresConfirmation: true,
+    message: `${namespace}/${action} is destructive and was not executed. ` +
+      `To execute it, call the tool again with the same arguments plus "${CONFIRMATION_ARG}": "${token}".`,
+    processor: `${namespace}/${action}`,
+    request,
+    ...(currentState !== undefined ? { currentState } : {}),
+    [CONFIRMATION_ARG]: token,
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+/**
+ * Call a processor, journaling the state of the changed object first when the undo journal is enabled
+ */
+function callProcessorWithUndo(
+  site: string,
+  namespace: string,
+  action: string,
+  data: Record<string, any>,
+  options: CallOptions = {}
+): Promise<Record<string, any>> {
+  return executors.get(site)!.call(namespace, action, data, options);
 }
 
 /**
@@ -122,6 +334,8 @@ function modxTypeToJsonSchemaType(modxType: string): string {
       return 'array';
     case 'object':
       return 'object';
+    case 'json':
+      return 'object'; // Serialized to a JSON string when sent to MODX
     case 'mixed':
     default:
       return 'string'; // Default to string for mixed/unknown types
@@ -131,7 +345,7 @@ function modxTypeToJsonSchemaType(modxType: string): string {
 /**
  * Create dynamic tool from processor info
  */
-function createProcessorTool(processor: ProcessorInfo): Tool {
+function createProcessorTool(site: string, processor: ProcessorInfo): Tool {
   const properties: Record<string, any> = {};
   const required: string[] = [];
 
@@ -143,10 +357,12 @@ function createProcessorTool(processor: ProcessorInfo): Tool {
         continue;
       }
 
-      properties[param.name] = {
-        type: modxTypeToJsonSchemaType(param.type || 'string'),
-        description: param.description || `Parameter: ${param.name}`,
-      };
+      properties[param.name] = isFileType(param.type)
+        ? { ...FILE_INPUT_SCHEMA, description: param.description || `File: ${param.name}` }
+        : {
+          type: modxTypeToJsonSchemaType(param.type || 'string'),
+          description: param.description || `Parameter: ${param.name}`,
+        };
 
       // Add default value if available and not empty string
       if (param.default !== undefined && param.default !== null && param.default !== '') {
@@ -160,9 +376,54 @@ function createProcessorTool(processor: ProcessorInfo): Tool {
     }
   }
 
+  properties[FIELDS_ARG] = {
+    type: "array",
+    items: { type: "string" },
+    description: "Return only these fields of the object / of each result item",
+  };
+  properties[TIMEOUT_ARG] = {
+    type: "integer",
+    description: "Timeout of each request to MODX in milliseconds (default: server configuration)",
+  };
+
+  if (isListProcessor(processor)) {
+    properties[FORMAT_ARG] = {
+      type: "string",
+      enum: ["json", "table"],
+      description: `Output format of the results (default: ${defaultResponseFormat}); "table" is a compact text table`,
+    };
+    properties[ALL_PAGES_ARG] = {
+      type: "boolean",
+      description: `Fetch all pages and merge their results (up to ${MAX_ITEMS_ARG}, default ${paginationMaxItems})`,
+    };
+    properties[MAX_ITEMS_ARG] = {
+      type: "integer",
+      description: "Maximum number of results to collect across pages; implies automatic pagination",
+    };
+  }
+
+  if (mutationClassifier.isMutating(processor)) {
+    properties[FILES_ARG] = {
+      type: "object",
+      additionalProperties: FILE_INPUT_SCHEMA,
+      description: "Files to upload as multipart form fields, by field name, e.g. {\"file\": {\"path\": \"logo.png\"}}",
+    };
+  }
+
+  let confirmationNote = '';
+  if (requiresConfirmation(processor)) {
+    properties[CONFIRMATION_ARG] = {
+      type: "string",
+      description: "Token from the preview returned by the first call; required to actually execute this destructive processor",
+    };
+    confirmationNote = ' Destructive: the first call only returns a preview and a confirmation token.';
+  }
+
+  const siteLabel = multiSite ? `${site}: ` : '';
+
   return {
-    name: processorToToolName(processor.namespace, processor.path),
-    description: `${processor.description} (${processor.namespace}/${processor.path})`,
+    name: toolNames.nameFor(site, processor.namespace, processor.path)!,
+    description: `${siteLabel}${processor.description} (${processor.namespace}/${processor.path})${confirmationNote}`,
     inputSchema: {
       type: "object",
       properties,
@@ -172,6 +433,41 @@ function createProcessorTool(processor: ProcessorInfo): Tool {
   };
 }
 
+/**
+ * Optional "site" argument for base tools when several sites are configured
+ */
+function siteArgumentSchema(description: string): Record<string, any> {
+  if (!multiSite) {
+    return {};
+  }
+
+  return {
+    site: {
+      type: "string",
+      enum: [...sites.keys()],
+      description,
+    },
+  };
+}
+
+/**
+ * Build processor tools exposed for the cached processors
+ */
+function buildProcessorTools(): Tool[] {
+  const dynamicTools: Tool[] = [];
+
+  for (const [site, processors] of processorsCache) {
+    const filter = processorFilters.get(site)!;
+    const siteTools = processors
+      .filter(processor => filter.allows(processor.namespace, processor.path))
+      .filter(processor => !isBlockedByReadOnly(site, processor))
+      .map(processor => createProcessorTool(site, processor));
+    dynamicTools.push(...siteTools);
+  }
+
+  return dynamicTools;
+}
+
 /**
  * Get all available tools (base tools + dynamic processor tools)
  */
@@ -182,52 +478,446 @@ async function getAllTools(): Promise<Tool[]> {
       description: "Get information about current MODX session",
       inputSchema: {
         type: "object",
-        properties: {},
+        properties: siteArgumentSchema("Report only this site (default: all sites)"),
+      },
+    },
+    {
+      name: "modx_login",
+      description: "Log in to MODX manager. Use a named account from the server configuration, " +
+        "or username and password. Without arguments the site's configured credentials are used.",
+      inputSchema: {
+        type: "object",
+        properties: {
+          ...siteArgumentSchema("Site to log in to"),
+          account: {
+            type: "string",
+            description: "Name of an account configured on the server (preferred over passing a password)",
+          },
+          username: { type: "string", description: "Manager username" },
+          password: { type: "string", description: "Manager password" },
+        },
+      },
+    },
+    {
+      name: "modx_logout",
+      description: "Log out from MODX manager and remove processor tools of the site",
+      inputSchema: {
+        type: "object",
+        properties: siteArgumentSchema("Site to log out from"),
+      },
+    },
+    {
+      name: "modx_switch_user",
+      description: "Log out and log in again as a different manager user",
+      inputSchema: {
+        type: "object",
+        properties: {
+          ...siteArgumentSchema("Site to switch user on"),
+          account: {
+            type: "string",
+            description: "Name of an account configured on the server (preferred over passing a password)",
+          },
+          username: { type: "string", description: "Manager username" },
+          password: { type: "string", description: "Manager password" },
+        },
+      },
+    },
+    {
+      name: "modx_refresh_processors",
+      description: "Reload the processor catalog from MODX and update the list of processor tools",
+      inputSchema: {
+        type: "object",
+        properties: siteArgumentSchema("Refresh only this site (default: all sites)"),
       },
     },
   ];
 
-  // Check authentication status
-  const sessionInfo = modxProxy.getSessionInfo();
-  if (!sessionInfo.isAuthenticated) {
-    console.error('Not authenticated - returning only session info tool');
-    return baseTools;
+  baseTools.push({
+    name: "modx_upload_file",
+    description: "Upload a file to a media source directory (core/browser/file/upload). " +
+      "Give either a local file path inside MODX_UPLOAD_DIR or base64 content with a file name.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...siteArgumentSchema("Site to upload to"),
+        source: { type: "integer", description: "Media source ID (default: 1, Filesystem)" },
+        path: { type: "string", description: "Target directory inside the media source, e.g. \"assets/images/\"" },
+        file: { ...FILE_INPUT_SCHEMA, description: "File to upload" },
+      },
+      required: ["path", "file"],
+    },
+  });
+
+  baseTools.push({
+    name: "modx_batch",
+    description: "Run a sequence of processor calls in one request. Arguments of a step may reference earlier results: " +
+      "\"{{steps.0.object.id}}\" (by index) or \"{{steps.create.object.id}}\" (by step id). Returns a report per step.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        ...siteArgumentSchema("Site to run the steps on"),
+        steps: {
+          type: "array",
+          description: "Steps in execution order",
+          items: {
+            type: "object",
+            properties: {
+              id: { type: "string", description: "Optional step name for references" },
+              namespace: { type: "string", description: "Processor namespace, e.g. \"core\"" },
+              action: { type: "string", description: "Processor path, e.g. \"resource/create\"" },
+              args: { type: "object", description: "Processor arguments" },
+              fields: { type: "array", items: { type: "string" }, description: "Keep only these fields of the returned object / of each result item in the report" },
+            },
+            required: ["namespace", "action"],
+          },
+        },
+        mode: {
+          type: "string",
+          enum: ["stop", "continue"],
+          description: "On a failed step: skip the remaining steps (stop, default) or go on (continue)",
+        },
+        [CONFIRMATION_ARG]: {
+          type: "string",
+          description: "Token from the preview; required when the batch contains destructive steps",
+        },
+      },
+      required: ["steps"],
+    },
+  });
+
+  if (undoJournal) {
+    baseTools.push(
+      {
+        name: "modx_undo_last",
+        description: "Undo the most recent journaled update/remove of a resource, element, TV or system setting " +
+          "by restoring its previous state",
+        inputSchema: {
+          type: "object",
+          properties: siteArgumentSchema("Site to undo the last change on"),
+        },
+      },
+      {
+        name: "modx_undo",
+        description: "Undo a journaled change by its journalId (returned by update/remove calls) by restoring the previous state",
+        inputSchema: {
+          type: "object",
+          properties: {
+            journalId: { type: "string", description: "Journal entry ID" },
+          },
+          required: ["journalId"],
+        },
+      },
+      {
+        name: "modx_get_undo_journal",
+        description: "List journaled changes newest first, with the journalId to pass to modx_undo",
+        inputSchema: {
+          type: "object",
+          properties: {
+            ...siteArgumentSchema("Only changes of this site (default: all sites)"),
+            limit: {
+              type: "number",
+              description: "Maximum number of entries (default: 20)",
+            },
+          },
+        },
+      }
+    );
   }
 
-  // Try to get processors and create dynamic tools
-  try {
-    if (!processorsCache) {
-      console.error('Loading processors from MODX...');
-      const processors = await modxProxy.getProcessors();
-      processorsCache = processors.processors;
-      console.error(`Loaded ${processorsCache.length} processors`);
+  if (siteProfiles.some(profile => profile.syncDir)) {
+    const syncProperties = (siteDescription: string, force?: string) => ({
+      ...siteArgumentSchema(siteDescription),
+      kinds: {
+        type: "array",
+        items: { type: "string", enum: ELEMENT_KINDS },
+        description: "Element kinds to sync (default: all)",
+      },
+      ...(force ? { force: { type: "boolean", description: force } } : {}),
+    });
+
+    baseTools.push(
+      {
+        name: "modx_sync_status",
+        description: "Compare chunks, snippets, templates and plugins in MODX with the local sync directory " +
+          "and list elements changed locally, in MODX or on both sides since the last sync",
+        inputSchema: {
+          type: "object",
+          properties: syncProperties("Site to compare"),
+        },
+      },
+      {
+        name: "modx_sync_pull",
+        description: "Export elements to the local sync directory (one file per element, grouped by category, " +
+          "with a .meta.json sidecar). Files changed locally are kept; conflicts are reported",
+        inputSchema: {
+          type: "object",
+          properties: syncProperties("Site to pull from", "Overwrite local files that conflict with MODX"),
+        },
+      },
+      {
+        name: "modx_sync_push",
+        description: "Send locally changed element files to MODX through the update processors. " +
+          "Elements also changed in MODX since the last sync are reported as conflicts and not updated",
+        inputSchema: {
+          type: "object",
+          properties: syncProperties("Site to push to", "Overwrite elements changed in MODX since the last sync"),
+        },
+      }
+    );
+  }
+
+  if (auditLog) {
+    baseTools.push({
+      name: "modx_get_audit_log",
+      description: "Query recent entries of the audit log of processor calls, newest first",
+      inputSchema: {
+        type: "object",
+        properties: {
+          ...siteArgumentSchema("Only entries of this site (default: all sites)"),
+          action: {
+            type: "string",
+            description: "Only calls whose namespace/action contains this text, e.g. \"resource/update\"",
+          },
+          success: {
+            type: "boolean",
+            description: "Only successful (true) or failed (false) calls",
+          },
+          limit: {
+            type: "number",
+            description: "Maximum number of entries (default: 50)",
+          },
+        },
+      },
+    });
+  }
+
+  await loadProcessors();
+
+  const dynamicTools = buildProcessorTools();
+  console.error(`Created ${dynamicTools.length} dynamic tools`);
+
+  return [...baseTools, ...dynamicTools];
+}
+
+// Refreshes run one at a time; the last one in the chain and the run waiting to start
+let refreshTail: Promise<unknown> = Promise.resolve();
+let refreshPending: { sites: Set<string> | null; promise: Promise<Record<string, any>> } | null = null;
+
+/**
+ * Reload processor catalogs and notify the client when the set of tools changed.
+ * A run already in progress may have read a catalog before the caller's change (e.g. a login),
+ * so callers never join it: they share the next run, which covers the sites of all its callers.
+ */
+function refreshProcessors(onlySite?: string): Promise<Record<string, any>> {
+  if (onlySite && !sites.has(onlySite)) {
+    return Promise.reject(new Error(`Unknown site: ${onlySite}`));
+  }
+
+  if (refreshPending) {
+    if (!onlySite) {
+      refreshPending.sites = null;
+    } else {
+      refreshPending.sites?.add(onlySite);
     }
+    return refreshPending.promise;
+  }
 
-    const dynamicTools = processorsCache.map(processor => createProcessorTool(processor));
-    console.error(`Created ${dynamicTools.length} dynamic tools`);
+  // Later callers may widen the scope until the run starts
+  const scope: { sites: Set<string> | null } = { sites: onlySite ? new Set([onlySite]) : null };
+  const promise = refreshTail.then(() => {
+    refreshPending = null;
+    return doRefreshProcessors(scope.sites);
+  });
+  refreshPending = Object.assign(scope, { promise });
+  refreshTail = promise.catch(() => undefined);
+  return promise;
+}
 
-    return [...baseTools, ...dynamicTools];
-  } catch (error) {
-    console.error('Error loading processors:', error);
-    // Return base tools if processors can't be loaded
-    return baseTools;
+/**
+ * Fetch fresh catalogs, update caches and tool names, compare the exposed tool set
+ */
+async function doRefreshProcessors(onlySites: Set<string> | null): Promise<Record<string, any>> {
+  const toolsBefore = buildProcessorTools().map(tool => tool.name).sort().join('\n');
+  const report: Record<string, any> = {};
+
+  for (const [site, modxProxy] of sites) {
+    if (onlySites && !onlySites.has(site)) {
+      continue;
+    }
+
+    try {
+      const catalog = await modxProxy.getProcessors(true);
+      const changed = !processorsCache.has(site)
+        || catalogVersions.get(site) !== catalog.generated_at
+        || catalog.generated_at === 'unknown';
+
+      if (changed) {
+        processorsCache.set(site, catalog.processors);
+      }
+      catalogVersions.set(site, catalog.generated_at);
+
+      report[site] = {
+        catalogChanged: changed,
+        generated_at: catalog.generated_at,
+        total: catalog.processors.length,
+      };
+    } catch (error) {
+      report[site] = {
+        error: error instanceof Error ? error.message : 'Unknown error',
+      };
+    }
+  }
+
+  toolNames.rebuild(processorsCache, multiSite);
+
+  const toolsAfter = buildProcessorTools().map(tool => tool.name).sort();
+  const toolsChanged = toolsAfter.join('\n') !== toolsBefore;
+  if (toolsChanged) {
+    console.error(`Processor tools changed, now ${toolsAfter.length} - notifying clients`);
+    await notifyToolListChanged();
+  }
+
+  return {
+    success: true,
+    toolsChanged,
+    tools: toolsAfter.length,
+    sites: report,
+  };
+}
+
+/**
+ * Resolve the site a base tool acts on; the site may be omitted when only one is configured
+ */
+function resolveSite(site?: string): SiteProfile {
+  if (!site) {
+    if (multiSite) {
+      throw new Error(`Specify "site": one of ${[...sites.keys()].join(', ')}`);
+    }
+    return siteProfiles[0];
+  }
+
+  const profile = siteProfiles.find(item => item.name === site);
+  if (!profile) {
+    throw new Error(`Unknown site: ${site}`);
+  }
+  return profile;
+}
+
+/**
+ * Pick credentials for a login: named account, explicit username/password, or the site's own credentials
+ */
+function resolveCredentials(profile: SiteProfile, args: Record<string, any>): UserCredentials {
+  if (args.account) {
+    const account = profile.users?.[args.account];
+    if (!account) {
+      const known = Object.keys(profile.users || {});
+      throw new Error(`Unknown account "${args.account}"${known.length ? ` (available: ${known.join(', ')})` : ''}`);
+    }
+    return account;
+  }
+
+  if (args.username && args.password) {
+    return { username: String(args.username), password: String(args.password) };
   }
+
+  if (!args.username && profile.username && profile.password) {
+    return { username: profile.username, password: profile.password };
+  }
+
+  throw new Error('Provide "account" or both "username" and "password"');
+}
+
+/**
+ * Forget cached processors of a site and tell the client its tools are gone
+ */
+async function dropSiteTools(site: string): Promise<void> {
+  const hadTools = processorsCache.delete(site);
+  catalogVersions.delete(site);
+  toolNames.rebuild(processorsCache, multiSite);
+
+  if (hadTools) {
+    await notifyToolListChanged();
+  }
+}
+
+/**
+ * Log a site in and load its processor tools
+ */
+async function loginSite(profile: SiteProfile, credentials: UserCredentials): Promise<Record<string, any>> {
+  const modxProxy = sites.get(profile.name)!;
+  const result = await modxProxy.login(credentials.username, credentials.password);
+  if (!result.success) {
+    // The failed login ended the previous session, so its tools are gone too
+    await dropSiteTools(profile.name);
+    return { success: false, site: profile.name, message: result.message };
+  }
+
+  const refresh = await refreshProcessors(profile.name);
+
+  return {
+    success: true,
+    site: profile.name,
+    message: result.message,
+    username: credentials.username,
+    toolsChanged: refresh.toolsChanged,
+    tools: refresh.tools,
+  };
+}
+
+/**
+ * Log a site out and remove its processor tools
+ */
+async function logoutSite(profile: SiteProfile): Promise<Record<string, any>> {
+  const result = await sites.get(profile.name)!.logout();
+  await dropSiteTools(profile.name);
+
+  return { ...result, site: profile.name };
+}
+
+/**
+ * Session state of one site, or of every site keyed by profile name
+ */
+function getSessionReport(site?: string): Record<string, any> {
+  const describe = (modxProxy: ModxProxyService) => ({
+    ...modxProxy.getSessionInfo(),
+    readOnly: readOnlySites.has(modxProxy.getSiteName()),
+    connectors: modxProxy.getConnectors(),
+    requests: modxProxy.getRequestStats(),
+  });
+
+  if (site) {
+    const modxProxy = sites.get(site);
+    if (!modxProxy) {
+      throw new Error(`Unknown site: ${site}`);
+    }
+    return describe(modxProxy);
+  }
+
+  if (!multiSite) {
+    return describe(sites.values().next().value!);
+  }
+
+  const report: Record<string, any> = {};
+  for (const [name, modxProxy] of sites) {
+    report[name] = describe(modxProxy);
+  }
+  return { sites: report };
 }
 
 // List tools handler - return dynamic tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function handleListTools() {
   const tools = await getAllTools();
   return { tools };
-});
+}
 
 // Call tool handler
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleCallTool(request: CallToolRequest) {
   const { name, arguments: args } = request.params;
 
   try {
     // Handle base tools
     if (name === "modx_get_session_info") {
-      const sessionInfo = modxProxy.getSessionInfo();
+      const sessionInfo = getSessionReport((args as Record<string, any>)?.site);
 
       return {
         content: [
@@ -239,19 +929,332 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       };
     }
 
+    if (name === "modx_login" || name === "modx_switch_user" || name === "modx_logout") {
+      const toolArgs = (args || {}) as Record<string, any>;
+      const profile = resolveSite(toolArgs.site);
+      let result: Record<string, any>;
+
+      if (name === "modx_logout") {
+        result = await logoutSite(profile);
+      } else {
+        const credentials = resolveCredentials(profile, toolArgs);
+        if (name === "modx_switch_user") {
+          await logoutSite(profile);
+        }
+        result = await loginSite(profile, credentials);
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+        ...(result.success === false ? { isError: true } : {}),
+      };
+    }
+
+    if (name === "modx_upload_file") {
+      const toolArgs = (args || {}) as Record<string, any>;
+      const profile = resolveSite(toolArgs.site);
+      const upload: ClassifiableProcessor = { namespace: "core", path: "browser/file/upload" };
+
+      if (!processorFilters.get(profile.name)!.allows(upload.namespace, upload.path)) {
+        throw new Error(`Processor ${upload.namespace}/${upload.path} is not allowed on this server`);
+      }
+      if (readOnlySites.has(profile.name)) {
+        throw new Error(`Uploading files is not allowed: site "${profile.name}" is in read-only mode`);
+      }
+
+      const result = await sites.get(profile.name)!.callProcessor(
+        upload.namespace,
+        upload.path,
+        { source: toolArgs.source ?? 1, path: toolArgs.path ?? "" },
+        { files: { file: toolArgs.file as FileInput } }
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+        ...(result.success === false ? { isError: true } : {}),
+      };
+    }
+
+    if (name === "modx_batch") {
+      const toolArgs = (args || {}) as Record<string, any>;
+      const site = resolveSite(toolArgs.site).name;
+      const steps = parseSteps(toolArgs.steps);
+      const mode = toolArgs.mode === "continue" ? "continue" : "stop";
+
+      // Every step is checked like a direct tool call before anything runs
+      await loadProcessors();
+      const destructiveSteps: string[] = [];
+      steps.forEach((step, index) => {
+        const processor = findProcessor(site, step.namespace, step.action);
+        if (!processor || !processorFilters.get(site)!.allows(step.namespace, step.action)) {
+          throw new Error(`Step ${index}: processor ${step.namespace}/${step.action} is unknown or not allowed on this server`);
+        }
+        if (isBlockedByReadOnly(site, processor)) {
+          throw new Error(`Step ${index}: ${step.namespace}/${step.action} modifies data and site "${site}" is in read-only mode`);
+        }
+        if (requiresConfirmation(processor)) {
+          destructiveSteps.push(`${index}: ${step.namespace}/${step.action}`);
+        }
+      });
+
+      // Destructive steps confirm the whole batch at once
+      if (destructiveSteps.length > 0) {
+        const fingerprint = ConfirmationManager.fingerprint(site, "batch", "", { steps, mode });
+        const confirmationToken = toolArgs[CONFIRMATION_ARG];
+
+        if (!confirmationToken) {
+          const { token, expiresAt } = confirmations.issue(fingerprint);
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify({
+                  success: true,
+                  executed: false,
+                  requiresConfirmation: true,
+                  message: `The batch contains destructive steps and was not executed. ` +
+                    `To execute it, call modx_batch again with the same arguments plus "${CONFIRMATION_ARG}": "${token}".`,
+                  destructiveSteps,
+                  [CONFIRMATION_ARG]: token,
+                  expiresAt: expiresAt.toISOString(),
+                }, null, 2),
+              },
+            ],
+          };
+        }
+
+        if (!confirmations.consume(String(confirmationToken), fingerprint)) {
+          throw new Error(
+            `Invalid or expired confirmation token, or steps differ from the previewed batch. ` +
+            `Call modx_batch without ${CONFIRMATION_ARG} to get a new preview.`
+          );
+        }
+      }
+
+      const report = await runBatch(
+        steps,
+        (step: BatchStep, stepArgs) => callProcessorWithUndo(site, step.namespace, step.action, stepArgs),
+        mode
+      );
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: formatProcessorResult(report, { maxChars: responseCharLimit }),
+          },
+        ],
+        ...(report.success ? {} : { isError: true }),
+      };
+    }
+
+    if (name === "modx_undo_last" || name === "modx_undo") {
+      if (!undoJournal) {
+        throw new Error("Undo journal is disabled; set MODX_UNDO_DIR to enable it");
+      }
+
+      const toolArgs = (args || {}) as Record<string, any>;
+      const entry = name === "modx_undo"
+        ? await undoJournal.get(String(toolArgs.journalId || ""))
+        : await undoJournal.last(resolveSite(toolArgs.site).name);
+      if (!sites.has(entry.site)) {
+        throw new Error(`Journal entry ${entry.journalId} belongs to unknown site "${entry.site}"`);
+      }
+
+      await loadProcessors();
+      const result = await undoJournal.undo(entry, executors.get(entry.site)!.executor(false));
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              ...result,
+              undone: {
+                journalId: entry.journalId,
+                site: entry.site,
+                action: `${entry.namespace}/${entry.action}`,
+                kind: entry.kind,
+                key: entry.key,
+                changedAt: entry.createdAt,
+              },
+            }, null, 2),
+          },
+        ],
+        ...(result.success === false ? { isError: true } : {}),
+      };
+    }
+
+    if (name === "modx_sync_status" || name === "modx_sync_pull" || name === "modx_sync_push") {
+      const toolArgs = (args || {}) as Record<string, any>;
+      const profile = resolveSite(toolArgs.site);
+      if (!profile.syncDir) {
+        throw new Error(`Element sync is disabled for site "${profile.name}"; set MODX_SYNC_DIR or "syncDir" in the site profile`);
+      }
+      if (name === "modx_sync_push" && readOnlySites.has(profile.name)) {
+        throw new Error(`Site "${profile.name}" is in read-only mode`);
+      }
+
+      await loadProcessors();
+      const sync = new ElementSync(profile.name, profile.syncDir, executors.get(profile.name)!.executor(), ElementSync.parseKinds(toolArgs.kinds));
+      const force = toolArgs.force === true;
+      const report = name === "modx_sync_status"
+        ? await sync.status()
+        : name === "modx_sync_pull" ? await sync.pull(force) : await sync.push(force);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: formatProcessorResult(report, { maxChars: responseCharLimit }),
+          },
+        ],
+        ...(report.summary.failed ? { isError: true } : {}),
+      };
+    }
+
+    if (name === "modx_get_undo_journal") {
+      if (!undoJournal) {
+        throw new Error("Undo journal is disabled; set MODX_UNDO_DIR to enable it");
+      }
+
+      const toolArgs = (args || {}) as Record<string, any>;
+      const entries = await undoJournal.list(toolArgs.site, parseInt(toolArgs.limit, 10) || undefined);
+
+      // Snapshots stay on the server: they can be large and hold setting values
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(entries.map(({ snapshot, ...entry }) => entry), null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === "modx_get_audit_log") {
+      if (!auditLog) {
+        throw new Error("Audit log is disabled; set MODX_AUDIT_LOG to enable it");
+      }
+
+      const toolArgs = (args || {}) as Record<string, any>;
+      const entries = await auditLog.query({
+        site: toolArgs.site,
+        action: toolArgs.action,
+        success: typeof toolArgs.success === "boolean" ? toolArgs.success : undefined,
+        limit: parseInt(toolArgs.limit, 10) || undefined,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(entries, null, 2),
+          },
+        ],
+      };
+    }
+
+    if (name === "modx_refresh_processors") {
+      const result = await refreshProcessors((args as Record<string, any>)?.site);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(result, null, 2),
+          },
+        ],
+      };
+    }
+
     // Handle dynamic processor tools
     if (name.startsWith("modx_")) {
+      // Tools may be called before they were listed
+      await loadProcessors();
       const processorInfo = toolNameToProcessor(name);
 
-      if (processorInfo) {
-        const data = args as Record<string, any>;
-        const result = await modxProxy.callProcessor(processorInfo.namespace, processorInfo.action, data || {});
+      // Processors hidden by the tool filter cannot be called by guessing their names
+      if (processorInfo && processorFilters.get(processorInfo.site)!.allows(processorInfo.namespace, processorInfo.action)) {
+        if (isBlockedByReadOnly(processorInfo.site, processorInfo.processor)) {
+          throw new Error(
+            `Processor ${processorInfo.namespace}/${processorInfo.action} modifies data and is not allowed: ` +
+            `site "${processorInfo.site}" is in read-only mode`
+          );
+        }
+
+        const {
+          [CONFIRMATION_ARG]: confirmationToken,
+          [ALL_PAGES_ARG]: allPages,
+          [MAX_ITEMS_ARG]: maxItems,
+          [FIELDS_ARG]: fields,
+          [FORMAT_ARG]: format,
+          [TIMEOUT_ARG]: timeoutMs,
+          [FILES_ARG]: files,
+          ...data
+        } = (args || {}) as Record<string, any>;
+
+        if (requiresConfirmation(processorInfo.processor)) {
+          if (!confirmationToken) {
+            const preview = await previewDestructiveCall(processorInfo.site, processorInfo.namespace, processorInfo.action, data);
+
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: JSON.stringify(preview, null, 2),
+                },
+              ],
+            };
+          }
+
+          const fingerprint = ConfirmationManager.fingerprint(processorInfo.site, processorInfo.namespace, processorInfo.action, data);
+          if (!confirmations.consume(String(confirmationToken), fingerprint)) {
+            throw new Error(
+              `Invalid or expired confirmation token, or arguments differ from the previewed call. ` +
+              `Call the tool without ${CONFIRMATION_ARG} to get a new preview.`
+            );
+          }
+        }
+
+        const options: CallOptions = {};
+        const timeout = parseInt(String(timeoutMs ?? ''), 10);
+        if (timeout > 0) {
+          options.timeoutMs = timeout;
+        }
+        if (files && typeof files === "object") {
+          options.files = files as Record<string, FileInput>;
+        }
+        if ((allPages === true || allPages === 'true' || maxItems !== undefined) && isListProcessor(processorInfo.processor)) {
+          const cap = parseInt(String(maxItems ?? ''), 10);
+          options.paginate = { maxItems: cap > 0 ? cap : paginationMaxItems };
+        }
+
+        const result = await callProcessorWithUndo(processorInfo.site, processorInfo.namespace, processorInfo.action, data, options);
+
+        if (result.download) {
+          return { content: downloadToContent(result) };
+        }
 
         return {
           content: [
             {
               type: "text",
-              text: JSON.stringify(result, null, 2),
+              text: formatProcessorResult(result, {
+                fields: parseFields(fields),
+                format: format === 'table' || format === 'json' ? format : defaultResponseFormat,
+                maxChars: responseCharLimit,
+              }),
             },
           ],
         };
@@ -261,7 +1264,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     // Unknown tool
     throw new Error(`Unknown tool: ${name}`);
   } catch (error) {
-    const errorMessage = error instanceof Error ? error.message : "Unknown error";
+    // Arguments may carry passwords or API keys; never echo them back as given
+    const errorMessage = redactor.errorMessage(error);
 
     return {
       content: [
@@ -270,27 +1274,168 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           text: JSON.stringify({
             success: false,
             error: errorMessage,
+            // timeout, network or http; failures reported by MODX are results with success: false
+            ...(error instanceof RequestFailure ? { errorType: error.kind } : {}),
             tool: name,
-            arguments: args,
+            arguments: redactor.redact(args),
           }, null, 2),
         },
       ],
       isError: true,
     };
   }
-});
+}
+
+/**
+ * Tool name for a processor ("core/resource/create") referenced from prompt templates.
+ * Processors hidden by the tool filter or blocked by read-only mode are named as not available.
+ */
+function resolvePromptTool(site: string | undefined, processor: string): string {
+  const [namespace, ...parts] = processor.split('/');
+  const siteName = site || siteProfiles[0].name;
+  const action = parts.join('/');
+
+  if (!processorFilters.get(siteName)?.allows(namespace, action)
+    || isBlockedByReadOnly(siteName, findProcessor(siteName, namespace, action) || { namespace, path: action })) {
+    return `the tool for ${processor} (not available on this server)`;
+  }
+
+  const name = toolNames.nameFor(siteName, namespace, action);
+  return name || `the tool for ${processor}`;
+}
+
+// Built-in workflow prompts plus project prompts from MODX_PROMPTS_DIR
+const prompts = new PromptLibrary(resolvePromptTool, [...sites.keys()], process.env.MODX_PROMPTS_DIR);
+
+// Prompt handlers
+async function handleListPrompts() {
+  return { prompts: prompts.list() };
+}
+
+async function handleGetPrompt(request: GetPromptRequest) {
+  // Tool names in prompts come from the loaded processor catalog
+  await loadProcessors();
+  return prompts.get(request.params.name, request.params.arguments);
+}
+
+// Resource handlers - MODX content as modx:// resources
+async function handleListResources(request: ListResourcesRequest) {
+  return contentResources.list(request.params?.cursor);
+}
+
+async function handleListResourceTemplates() {
+  return { resourceTemplates: contentResources.listTemplates() };
+}
+
+async function handleReadResource(request: ReadResourceRequest) {
+  return { contents: await contentResources.read(request.params.uri) };
+}
+
+// MCP servers of connected clients (one for stdio, one per session over HTTP)
+const connectedServers = new Set<Server>();
+
+/**
+ * Create MCP server for a client; all servers share the MODX sessions and caches above
+ */
+function createServer(): Server {
+  const server = new Server(
+    {
+      name: "modx-proxy",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {
+          listChanged: true,
+        },
+        resources: {},
+        prompts: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+
+  connectedServers.add(server);
+  server.onclose = () => {
+    connectedServers.delete(server);
+  };
+
+  return server;
+}
+
+/**
+ * Send tools/list_changed to every connected client
+ */
+async function notifyToolListChanged(): Promise<void> {
+  for (const server of connectedServers) {
+    try {
+      await server.sendToolListChanged();
+    } catch (error) {
+      console.error('Failed to send tools/list_changed:', error instanceof Error ? error.message : error);
+    }
+  }
+}
+
+/**
+ * Read transport settings from command line flags (--http, --host=, --port=) and MODX_MCP_* variables
+ */
+function getTransportOptions() {
+  const flags = new Map<string, string>();
+  for (const arg of process.argv.slice(2)) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      flags.set(match[1], match[2] ?? 'true');
+    }
+  }
+
+  const transport = flags.has('http') ? 'http' : (flags.get('transport') || process.env.MODX_MCP_TRANSPORT || 'stdio');
+
+  return {
+    transport: transport.toLowerCase(),
+    host: flags.get('host') || process.env.MODX_MCP_HTTP_HOST || '127.0.0.1',
+    port: parseInt(flags.get('port') || process.env.MODX_MCP_HTTP_PORT || '', 10) || 3000,
+    authToken: process.env.MODX_MCP_HTTP_TOKEN || undefined,
+  };
+}
 
 // Start the server
 async function main() {
   // Initialize and auto-login
   await initializeServer();
   
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error("MODX Proxy MCP Server running on stdio");
+  const options = getTransportOptions();
+  if (options.transport === 'http') {
+    await startHttpTransport(createServer, options);
+    console.error(`MODX Proxy MCP Server running on http://${options.host}:${options.port}/mcp (SSE: /sse)`);
+  } else if (options.transport === 'stdio') {
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    console.error("MODX Proxy MCP Server running on stdio");
+  } else {
+    throw new Error(`Unknown transport: ${options.transport}`);
+  }
+
+  // Optionally poll the processor catalog for changes
+  const refreshInterval = parseInt(process.env.MODX_REFRESH_INTERVAL || '', 10);
+  if (refreshInterval > 0) {
+    console.error(`Polling processor catalog every ${refreshInterval}s`);
+    setInterval(() => {
+      refreshProcessors().catch(error => {
+        console.error('Processor refresh failed:', error instanceof Error ? error.message : error);
+      });
+    }, refreshInterval * 1000).unref();
+  }
 }
 
-main().catch((error) => {
+main().catch(async (error) => {
   console.error("Server error:", error);
+  await auditLog?.flush();
   process.exit(1);
 });
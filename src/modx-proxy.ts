@@ -1,6 +1,17 @@
 import axios, { AxiosInstance, AxiosResponse } from 'axios';
 import { CookieJar } from 'tough-cookie';
 import { wrapper } from 'axios-cookiejar-support';
+import { encodeProcessorParams } from './param-encoder.js';
+import { ConnectorMap } from './connector-map.js';
+import { SiteProfile } from './site-profiles.js';
+import { SessionStore } from './session-store.js';
+import { AuditLog } from './audit-log.js';
+import { redactor } from './redact.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { RequestFailure, RetryPolicy, TimeoutTable } from './retry-policy.js';
+import { MutationClassifier } from './processor-policy.js';
+import { FileInput, isFileInput, isFileType, loadFileInput, UploadFile } from './file-upload.js';
+import { DownloadedFile, DownloadHandler, isTextBody, parseContentType } from './download.js';
 
 // Types
 interface LoginResult {
@@ -17,6 +28,60 @@ interface ProcessorResult {
   errors?: any;
   object?: any;
   results?: any;
+  total?: number | string;
+  pagination?: {
+    pages: number;
+    start: number;
+    fetched: number;
+    total?: number;
+    complete: boolean;
+  };
+  // Time the call waited for the request scheduler (set only when it had to wait)
+  queueWaitMs?: number;
+  // Non-JSON response (file download, HTML page)
+  download?: DownloadedFile;
+}
+
+/**
+ * Per-call options of callProcessor
+ */
+export interface CallOptions {
+  // Timeout of each connector request of this call, overriding the per-processor timeout
+  timeoutMs?: number;
+  // Files sent as multipart fields, by field name (e.g. { file: { path: 'logo.png' } })
+  files?: Record<string, FileInput>;
+  // Walk start/limit pages of a getlist processor and merge their results
+  paginate?: {
+    maxItems: number;
+    pageSize?: number;
+  };
+}
+
+/**
+ * Settings of the HTTP exchange behind a processor call, and details filled in while it runs
+ */
+interface RequestMeta {
+  // Request timeout; the client default applies when not set
+  timeoutMs?: number;
+  // Whether transient failures may be retried (see RetryPolicy)
+  idempotent?: boolean;
+  httpStatus?: number;
+  // Time spent waiting for the request scheduler
+  queueWaitMs?: number;
+  // Attempts made for the last request
+  attempts?: number;
+}
+
+/**
+ * Shared collaborators of the site services
+ */
+export interface ServiceOptions {
+  auditLog?: AuditLog | null;
+  // Decides which processors are safe to retry
+  classifier?: MutationClassifier;
+  retryPolicy?: RetryPolicy;
+  timeouts?: TimeoutTable;
+  downloads?: DownloadHandler;
 }
 
 interface ProcessorList {
@@ -39,8 +104,24 @@ interface ProcessorList {
   generated_at: string;
 }
 
+interface Credentials {
+  username: string;
+  password: string;
+}
+
+/**
+ * Raised when MODX reports that the manager session is no longer valid
+ */
+class SessionExpiredError extends Error {
+  constructor(message: string = 'Session expired. Please login again.') {
+    super(message);
+    this.name = 'SessionExpiredError';
+  }
+}
+
 interface SessionInfo {
   isAuthenticated: boolean;
+  site?: string;
   baseUrl?: string;
   connectorUrl?: string;
   user?: any;
@@ -59,13 +140,29 @@ export class ModxProxyService {
   private sessionInfo: SessionInfo = { isAuthenticated: false };
   private processorCache: ProcessorList | null = null;
   private authToken: string = '';
+  private credentials: Credentials | null = null;
+  // Values registered with the redactor for this session
+  private sessionSecrets: string[] = [];
+  private reloginPromise: Promise<boolean> | null = null;
+  private connectorMap: ConnectorMap;
+  private siteName: string;
+  private sessionStore: SessionStore | null;
+  private auditLog: AuditLog | null;
+  private scheduler: RequestScheduler;
+  private classifier: MutationClassifier;
+  private retryPolicy: RetryPolicy;
+  private timeouts: TimeoutTable;
+  private downloads: DownloadHandler;
+  // Directory local files may be uploaded from
+  private uploadDir?: string;
 
-  constructor() {
+  constructor(profile: Partial<SiteProfile> = {}, options: ServiceOptions = {}) {
+    this.timeouts = options.timeouts || TimeoutTable.fromEnv();
     this.cookieJar = new CookieJar();
     this.httpClient = wrapper(axios.create({
       jar: this.cookieJar,
       withCredentials: true,
-      timeout: 30000,
+      timeout: this.timeouts.defaultTimeoutMs,
       headers: {
         'User-Agent': 'MODX-Proxy-MCP/2.0',
         'Accept': 'application/json, text/javascript, */*; q=0.01',
@@ -75,10 +172,12 @@ export class ModxProxyService {
       },
     }));
 
-    // Set URLs from environment variables
-    this.baseUrl = process.env.MODX_BASE_URL || 'http://localhost';
-    this.connectorPath = process.env.MODX_CONNECTOR_PATH || '/connectors/';
-    this.adminPath = process.env.MODX_ADMIN_PATH || '/manager/';
+    // Set URLs from site profile, falling back to environment variables
+    this.siteName = profile.name || 'default';
+    this.baseUrl = (profile.baseUrl || process.env.MODX_BASE_URL || 'http://localhost').replace(/\/$/, '');
+    this.connectorPath = profile.connectorPath || process.env.MODX_CONNECTOR_PATH || '/connectors/';
+    this.adminPath = profile.adminPath || process.env.MODX_ADMIN_PATH || '/manager/';
+    this.sessionInfo.site = this.siteName;
     
     // For modx-mcp specific processors, we'll use our custom connector
     this.modxMcpConnectorPath = '/assets/components/modx-mcp/connector.php';
@@ -86,6 +185,26 @@ export class ModxProxyService {
     // Ensure paths start and end with slashes
     this.connectorPath = this.normalizePath(this.connectorPath);
     this.adminPath = this.normalizePath(this.adminPath);
+
+    // Component namespaces are routed to their own connectors
+    this.connectorMap = new ConnectorMap(
+      this.connectorPath,
+      profile.connectors || ConnectorMap.parseOverrides(process.env.MODX_CONNECTORS)
+    );
+
+    // Optional on-disk persistence of cookies and token between restarts
+    const sessionStoreDir = profile.sessionStore || process.env.MODX_SESSION_STORE;
+    this.sessionStore = sessionStoreDir ? new SessionStore(sessionStoreDir) : null;
+
+    this.uploadDir = profile.uploadDir || process.env.MODX_UPLOAD_DIR || undefined;
+
+    this.auditLog = options.auditLog ?? null;
+    this.classifier = options.classifier || new MutationClassifier();
+    this.retryPolicy = options.retryPolicy || RetryPolicy.fromEnv();
+    this.downloads = options.downloads || DownloadHandler.fromEnv();
+
+    // Concurrency and rate limits for requests to this site
+    this.scheduler = RequestScheduler.fromSettings(profile.maxConcurrentRequests, profile.requestsPerSecond);
   }
 
   /**
@@ -102,9 +221,30 @@ export class ModxProxyService {
   }
 
   /**
-   * Authenticate with MODX using standard connector
+   * Authenticate with MODX using standard connector. A failed login clears the session completely,
+   * so the next call cannot quietly log back in as the previous user.
    */
   async login(username: string, password: string, baseUrl?: string): Promise<LoginResult> {
+    const result = await this.auditedLogin(username, password, baseUrl);
+    if (!result.success) {
+      this.clearSession();
+    }
+    return result;
+  }
+
+  /**
+   * Log in and record the attempt in the audit log
+   */
+  private async auditedLogin(username: string, password: string, baseUrl?: string): Promise<LoginResult> {
+    const startedAt = Date.now();
+    const meta: RequestMeta = {};
+    const result = await this.authenticate(username, password, baseUrl, meta);
+
+    this.audit('core', 'security/login', { username }, startedAt, meta, result.success, result.message, username);
+    return result;
+  }
+
+  private async authenticate(username: string, password: string, baseUrl: string | undefined, meta: RequestMeta): Promise<LoginResult> {
     try {
       // Update URLs if provided
       if (baseUrl) {
@@ -126,13 +266,14 @@ export class ModxProxyService {
       });
 
       // Perform login using standard connector
-      const response: AxiosResponse = await this.httpClient.post(connectorUrl, loginData, {
+      const response: AxiosResponse = await this.send(meta, () => this.httpClient.post(connectorUrl, loginData, {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
           'X-Requested-With': 'XMLHttpRequest',
           'Referer': refererUrl,
         },
-      });
+      }));
+      meta.httpStatus = response.status;
 
       // Parse response
       let result;
@@ -149,14 +290,18 @@ export class ModxProxyService {
       if (result.success) {
         this.isAuthenticated = true;
         this.authToken = result.object?.token || '';
+        this.credentials = { username, password };
+        this.registerSecrets(password, this.authToken);
         this.sessionInfo = {
           isAuthenticated: true,
+          site: this.siteName,
           baseUrl: this.baseUrl,
           connectorUrl: connectorUrl,
           user: result.object || result.data,
           loginTime: new Date(),
           lastActivity: new Date(),
         };
+        await this.persistSession(username);
 
         return {
           success: true,
@@ -174,7 +319,12 @@ export class ModxProxyService {
 
     } catch (error) {
       this.isAuthenticated = false;
-      const errorMessage = error instanceof Error ? error.message : 'Unknown authentication error';
+      if (axios.isAxiosError(error)) {
+        meta.httpStatus = error.response?.status;
+      }
+      const errorMessage = axios.isAxiosError(error)
+        ? redactor.redactText(RequestFailure.fromAxiosError(error, meta.attempts || 1).message)
+        : redactor.errorMessage(error, 'Unknown authentication error');
       
       return {
         success: false,
@@ -183,6 +333,108 @@ export class ModxProxyService {
     }
   }
 
+  /**
+   * Restore a session saved by a previous run, keeping it only if MODX still accepts it
+   */
+  async restoreSession(username: string, password: string): Promise<boolean> {
+    if (!this.sessionStore) {
+      return false;
+    }
+
+    const stored = await this.sessionStore.load(this.baseUrl, username);
+    if (!stored) {
+      return false;
+    }
+
+    try {
+      this.useCookieJar(await CookieJar.deserialize(stored.cookies));
+      this.authToken = stored.authToken;
+      this.registerSecrets(password, this.authToken);
+      this.isAuthenticated = true;
+      this.sessionInfo = {
+        isAuthenticated: true,
+        site: this.siteName,
+        baseUrl: this.baseUrl,
+        connectorUrl: `${this.baseUrl}${this.connectorPath}`,
+        user: stored.user,
+        loginTime: stored.loginTime ? new Date(stored.loginTime) : undefined,
+        lastActivity: new Date(),
+      };
+
+      // Cheap request that only succeeds with a live manager session
+      await this.executeProcessor('core', 'context/getlist', { limit: 1 });
+    } catch (error) {
+      console.error('Saved MODX session is no longer valid, discarding it');
+      this.isAuthenticated = false;
+      this.authToken = '';
+      this.sessionInfo = { isAuthenticated: false, site: this.siteName };
+      this.useCookieJar(new CookieJar());
+      this.registerSecrets();
+      await this.sessionStore.remove(this.baseUrl, username).catch(() => undefined);
+      return false;
+    }
+
+    this.credentials = { username, password };
+    return true;
+  }
+
+  /**
+   * Save cookies and token so the next run can reuse this session
+   */
+  private async persistSession(username: string): Promise<void> {
+    if (!this.sessionStore) {
+      return;
+    }
+
+    try {
+      await this.sessionStore.save({
+        baseUrl: this.baseUrl,
+        username,
+        authToken: this.authToken,
+        cookies: await this.cookieJar.serialize(),
+        user: this.sessionInfo.user,
+        loginTime: this.sessionInfo.loginTime?.toISOString(),
+        savedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error('Failed to save MODX session:', error instanceof Error ? error.message : error);
+    }
+  }
+
+  /**
+   * Replace the cookie jar used by the HTTP client
+   */
+  private useCookieJar(jar: CookieJar): void {
+    this.cookieJar = jar;
+    this.httpClient.defaults.jar = jar;
+  }
+
+  /**
+   * Forget credentials, token, cookies and the processor catalog of the current session
+   */
+  private clearSession(): void {
+    this.credentials = null;
+    this.isAuthenticated = false;
+    this.authToken = '';
+    this.processorCache = null;
+    this.sessionInfo = { isAuthenticated: false, site: this.siteName };
+    this.useCookieJar(new CookieJar());
+    this.registerSecrets();
+  }
+
+  /**
+   * Mask the password and token of the current session in all output, releasing the values they replace
+   */
+  private registerSecrets(...values: string[]): void {
+    for (const value of values) {
+      redactor.addSecret(value);
+    }
+    for (const value of this.sessionSecrets) {
+      redactor.removeSecret(value);
+    }
+    this.sessionSecrets = values;
+  }
+
   /**
    * Get list of all MODX processors via modx-mcp component
    */
@@ -191,149 +443,566 @@ export class ModxProxyService {
       return this.processorCache;
     }
 
-    if (!this.isAuthenticated) {
-      throw new Error('Not authenticated. Please login first.');
-    }
+    await this.ensureAuthenticated();
+
+    // Reading the catalog is safe to repeat, so transient failures are retried like other reads
+    const meta: RequestMeta = {
+      idempotent: true,
+      timeoutMs: this.timeouts.timeoutFor('modx-mcp', 'data/index'),
+    };
 
     try {
-      this.sessionInfo.lastActivity = new Date();
+      return await this.withSessionRetry(() => this.fetchProcessors(meta));
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        throw error;
+      }
 
-      const connectorUrl = `${this.baseUrl}${this.modxMcpConnectorPath}`;
-      const refererUrl = `${this.baseUrl}${this.adminPath}`;
+      if (axios.isAxiosError(error)) {
+        throw RequestFailure.fromAxiosError(error, meta.attempts || 1);
+      }
+      
+      throw new Error(`Failed to get processors: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
 
-      // Call modx-mcp component processor to get processors list
-      const processorData = new URLSearchParams({
-        action: 'data/index',
-        namespace: 'modx-mcp',
-        format: 'json',
-        'HTTP_MODAUTH': this.authToken
-      });
+  /**
+   * Request processors list from modx-mcp component connector
+   */
+  private async fetchProcessors(meta: RequestMeta = {}): Promise<ProcessorList> {
+    this.sessionInfo.lastActivity = new Date();
 
-      const response: AxiosResponse = await this.httpClient.post(connectorUrl, processorData, {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-          'X-Requested-With': 'XMLHttpRequest',
-          'Referer': refererUrl,
-        },
-      });
+    const connectorUrl = `${this.baseUrl}${this.modxMcpConnectorPath}`;
+    const refererUrl = `${this.baseUrl}${this.adminPath}`;
 
-      // Parse response
-      let result;
-      if (typeof response.data === 'string') {
-        try {
-          result = JSON.parse(response.data);
-        } catch (e) {
-          throw new Error('Invalid JSON response from MODX component');
-        }
-      } else {
-        result = response.data;
+    // Call modx-mcp component processor to get processors list
+    const token = this.authToken;
+    const processorData = new URLSearchParams({
+      action: 'data/index',
+      namespace: 'modx-mcp',
+      format: 'json',
+      'HTTP_MODAUTH': token
+    });
+
+    const response = await this.postToConnector(connectorUrl, processorData, refererUrl, meta);
+
+    // Parse response
+    let result;
+    if (typeof response.data === 'string') {
+      try {
+        result = JSON.parse(response.data);
+      } catch (e) {
+        throw new Error('Invalid JSON response from MODX component');
       }
+    } else {
+      result = response.data;
+    }
 
-      if (result.success && result.object) {
-        const processorList: ProcessorList = {
-          processors: result.object.processors || [],
-          total: result.object.total || 0,
-          generated_at: result.object.generated_at || 'unknown'
-        };
+    if (this.isAccessDeniedResult(result)) {
+      throw this.expireSession(token);
+    }
 
-        this.processorCache = processorList;
-        return processorList;
-      } else {
-        throw new Error(result.message || 'Failed to get processors from MODX component');
+    if (result.success && result.object) {
+      const processorList: ProcessorList = {
+        processors: result.object.processors || [],
+        total: result.object.total || 0,
+        generated_at: result.object.generated_at || 'unknown'
+      };
+
+      this.processorCache = processorList;
+      this.connectorMap.learnFromCatalog(processorList.processors);
+      return processorList;
+    } else {
+      throw new Error(result.message || 'Failed to get processors from MODX component');
+    }
+  }
+
+  /**
+   * Call a specific MODX processor using standard connector
+   */
+  async callProcessor(
+    namespace: string,
+    action: string,
+    data: Record<string, any> = {},
+    options: CallOptions = {}
+  ): Promise<ProcessorResult> {
+    const startedAt = Date.now();
+    const meta: RequestMeta = {
+      timeoutMs: options.timeoutMs ?? this.timeouts.timeoutFor(namespace, action),
+      idempotent: this.isIdempotent(namespace, action),
+    };
+
+    try {
+      const result = await this.runProcessor(namespace, action, data, options, meta);
+      if (meta.queueWaitMs) {
+        result.queueWaitMs = meta.queueWaitMs;
       }
+      this.audit(namespace, action, this.describeArgs(data, options), startedAt, meta, result.success, result.message);
+      return result;
+    } catch (error) {
+      this.audit(namespace, action, this.describeArgs(data, options), startedAt, meta, false, error instanceof Error ? error.message : 'Unknown error');
+      throw error;
+    }
+  }
+
+  /**
+   * Authenticate if needed and run the processor, single request or paginated
+   */
+  private async runProcessor(
+    namespace: string,
+    action: string,
+    data: Record<string, any>,
+    options: CallOptions,
+    meta: RequestMeta
+  ): Promise<ProcessorResult> {
+    await this.ensureAuthenticated();
 
+    try {
+      if (options.paginate) {
+        return await this.executePaginated(namespace, action, data, options.paginate, meta);
+      }
+
+      const { fields, files } = await this.splitFiles(namespace, action, data, options.files);
+      return await this.withSessionRetry(() => this.executeProcessor(namespace, action, fields, meta, files));
     } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        throw error;
+      }
+
       if (axios.isAxiosError(error)) {
-        if (error.response?.status === 401 || error.response?.status === 403) {
-          this.isAuthenticated = false;
-          this.sessionInfo.isAuthenticated = false;
-          throw new Error('Session expired. Please login again.');
-        }
-        
-        throw new Error(`HTTP error ${error.response?.status}: ${error.message}`);
+        throw RequestFailure.fromAxiosError(error, meta.attempts || 1, meta.timeoutMs);
       }
       
-      throw new Error(`Failed to get processors: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      throw new Error(`Processor call failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
     }
   }
 
   /**
-   * Call a specific MODX processor using standard connector
+   * Fetch consecutive start/limit pages until total is reached or maxItems results are collected
    */
-  async callProcessor(namespace: string, action: string, data: Record<string, any> = {}): Promise<ProcessorResult> {
-    if (!this.isAuthenticated) {
-      throw new Error('Not authenticated. Please login first.');
+  private async executePaginated(
+    namespace: string,
+    action: string,
+    data: Record<string, any>,
+    paginate: { maxItems: number; pageSize?: number },
+    meta: RequestMeta
+  ): Promise<ProcessorResult> {
+    const firstStart = parseInt(String(data.start ?? 0), 10) || 0;
+    const requestedLimit = parseInt(String(data.limit ?? ''), 10);
+    const pageSize = paginate.pageSize || (requestedLimit > 0 ? requestedLimit : 100);
+
+    const results: any[] = [];
+    let start = firstStart;
+    let pages = 0;
+    let total: number | undefined;
+
+    while (results.length < paginate.maxItems) {
+      const limit = Math.min(pageSize, paginate.maxItems - results.length);
+      const page = await this.withSessionRetry(
+        () => this.executeProcessor(namespace, action, { ...data, start, limit }, meta)
+      );
+      pages++;
+
+      // A failed page ends the walk; report the error of that page
+      if (!page.success) {
+        return { ...page, pagination: { pages, start: firstStart, fetched: results.length, total, complete: false } };
+      }
+
+      const items: any[] = Array.isArray(page.results) ? page.results : [];
+      if (page.total !== undefined && page.total !== null && page.total !== '') {
+        total = parseInt(String(page.total), 10);
+      }
+
+      results.push(...items);
+      start += items.length;
+
+      if (items.length < limit || (total !== undefined && start >= total)) {
+        break;
+      }
     }
 
-    try {
-      this.sessionInfo.lastActivity = new Date();
+    return {
+      success: true,
+      total,
+      results,
+      pagination: {
+        pages,
+        start: firstStart,
+        fetched: results.length,
+        total,
+        complete: total !== undefined ? start >= total : results.length < paginate.maxItems,
+      },
+    };
+  }
 
-      const connectorUrl = `${this.baseUrl}${this.connectorPath}`;
-      const refererUrl = `${this.baseUrl}${this.adminPath}`;
+  /**
+   * Write audit log entry for a processor call
+   */
+  private audit(
+    namespace: string,
+    action: string,
+    args: Record<string, any>,
+    startedAt: number,
+    meta: RequestMeta,
+    success: boolean,
+    message?: string,
+    user?: string
+  ): void {
+    if (!this.auditLog) {
+      return;
+    }
 
-      // Prepare processor data
-      const processorData = new URLSearchParams({
-        action: action,
-        format: 'json',
-        'HTTP_MODAUTH': this.authToken,
-        ...data
-      });
+    this.auditLog.record({
+      timestamp: new Date(startedAt).toISOString(),
+      site: this.siteName,
+      user: user ?? this.credentials?.username ?? this.sessionInfo.user?.username,
+      namespace,
+      action,
+      args,
+      durationMs: Date.now() - startedAt,
+      httpStatus: meta.httpStatus,
+      queueWaitMs: meta.queueWaitMs || undefined,
+      success,
+      message: typeof message === 'string' ? message : undefined,
+    });
+  }
 
-      // Call processor
-      const response: AxiosResponse = await this.httpClient.post(connectorUrl, processorData, {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8',
-          'X-Requested-With': 'XMLHttpRequest',
-          'Referer': refererUrl,
-        },
-      });
+  /**
+   * Describe the request callProcessor would send, without sending it
+   */
+  previewProcessorCall(namespace: string, action: string, data: Record<string, any> = {}): { connectorUrl: string; fields: Record<string, string> } {
+    const connector = this.connectorMap.resolve(namespace);
+    const fields: Record<string, string> = { action };
+    if (connector.passNamespace) {
+      fields.namespace = namespace;
+    }
+    for (const [key, value] of encodeProcessorParams(data, this.getParameterTypes(namespace, action))) {
+      fields[key] = value;
+    }
 
-      // Parse response
-      let result;
-      if (typeof response.data === 'string') {
-        try {
-          result = JSON.parse(response.data);
-        } catch (e) {
-          // If not JSON, return as text
-          result = {
-            success: true,
-            data: response.data,
-            raw: true,
-          };
+    return {
+      connectorUrl: `${this.baseUrl}${connector.path}`,
+      fields,
+    };
+  }
+
+  /**
+   * Send a single processor request and normalize its response
+   */
+  private async executeProcessor(
+    namespace: string,
+    action: string,
+    data: Record<string, any>,
+    meta: RequestMeta = {},
+    files: Record<string, UploadFile> = {}
+  ): Promise<ProcessorResult> {
+    this.sessionInfo.lastActivity = new Date();
+
+    const connector = this.connectorMap.resolve(namespace);
+    const connectorUrl = `${this.baseUrl}${connector.path}`;
+    const refererUrl = `${this.baseUrl}${this.adminPath}`;
+
+    // Prepare processor data
+    const token = this.authToken;
+    const processorData = new URLSearchParams({
+      action: action,
+      format: 'json',
+      'HTTP_MODAUTH': token,
+    });
+    if (connector.passNamespace) {
+      processorData.set('namespace', namespace);
+    }
+    for (const [key, value] of encodeProcessorParams(data, this.getParameterTypes(namespace, action))) {
+      processorData.set(key, value);
+    }
+
+    // Call processor; with files the same fields are sent as multipart/form-data
+    let body: URLSearchParams | FormData = processorData;
+    if (Object.keys(files).length > 0) {
+      const form = new FormData();
+      for (const [key, value] of processorData) {
+        form.append(key, value);
+      }
+      for (const [field, file] of Object.entries(files)) {
+        form.append(field, new Blob([file.buffer], { type: file.mimeType }), file.filename);
+      }
+      body = form;
+    }
+
+    const response = await this.postToConnector(connectorUrl, body, refererUrl, meta, 'arraybuffer');
+    const result = await this.parseProcessorResponse(Buffer.from(response.data), response.headers, token);
+
+    if (this.isAccessDeniedResult(result)) {
+      throw this.expireSession(token);
+    }
+
+    // Return the response as MODX sent it; payload stays in whichever of object/results/data it came in
+    return {
+      ...result,
+      success: result.success !== false,
+    };
+  }
+
+  /**
+   * Parse raw connector response: JSON whatever the content type says, otherwise a text or binary download
+   */
+  private async parseProcessorResponse(body: Buffer, headers: Record<string, any>, token: string): Promise<Record<string, any>> {
+    const { mimeType } = parseContentType(headers['content-type']);
+
+    if (isTextBody(mimeType, body)) {
+      const text = body.toString('utf8');
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        if (this.isLoginPage(text)) {
+          throw this.expireSession(token);
         }
+      }
+    }
+
+    return {
+      success: true,
+      download: await this.downloads.handle(body, headers),
+    };
+  }
+
+  /**
+   * Separate file arguments (explicit files and values of file-typed catalog parameters) from form fields
+   */
+  private async splitFiles(
+    namespace: string,
+    action: string,
+    data: Record<string, any>,
+    explicitFiles: Record<string, FileInput> = {}
+  ): Promise<{ fields: Record<string, any>; files: Record<string, UploadFile> }> {
+    const parameterTypes = this.getParameterTypes(namespace, action);
+    const fields: Record<string, any> = {};
+    const inputs: Record<string, FileInput> = { ...explicitFiles };
+
+    for (const [key, value] of Object.entries(data)) {
+      if (isFileType(parameterTypes[key]) && isFileInput(value)) {
+        inputs[key] = value;
       } else {
-        result = response.data;
+        fields[key] = value;
       }
+    }
 
-      return {
-        success: result.success !== false,
-        message: result.message,
-        data: result.data || result.object || result.results,
-        errors: result.errors,
-        object: result.object,
-        results: result.results,
-        ...result
-      };
+    const files: Record<string, UploadFile> = {};
+    for (const [field, input] of Object.entries(inputs)) {
+      if (!isFileInput(input)) {
+        throw new Error(`File "${field}" needs "path" or base64 "content"`);
+      }
+      files[field] = await loadFileInput(input, this.uploadDir);
+    }
+    return { fields, files };
+  }
+
+  /**
+   * Arguments as recorded in the audit log: file contents are replaced by their size
+   */
+  private describeArgs(data: Record<string, any>, options: CallOptions): Record<string, any> {
+    const describe = (value: any) => (isFileInput(value) && typeof value.content === 'string'
+      ? { ...value, content: `[${Buffer.byteLength(value.content, 'base64')} bytes]` }
+      : value);
+
+    const args: Record<string, any> = {};
+    for (const [key, value] of Object.entries(data)) {
+      args[key] = describe(value);
+    }
+    if (options.files) {
+      args._files = Object.fromEntries(Object.entries(options.files).map(([field, value]) => [field, describe(value)]));
+    }
+    return args;
+  }
 
+  /**
+   * Map of parameter name to declared type for a cached processor
+   */
+  private getParameterTypes(namespace: string, action: string): Record<string, string> {
+    const processor = this.processorCache?.processors.find(
+      item => item.namespace === namespace && item.path === action
+    );
+
+    const types: Record<string, string> = {};
+    for (const param of processor?.parameters || []) {
+      if (param.name && param.type) {
+        types[param.name] = param.type;
+      }
+    }
+    return types;
+  }
+
+  /**
+   * Send request through the site's scheduler, retrying transient failures; adds queue wait and attempts to meta
+   */
+  private async send<T>(meta: RequestMeta, request: () => Promise<T>): Promise<T> {
+    return this.retryPolicy.execute(
+      async () => {
+        const { value, waitMs } = await this.scheduler.run(request);
+        meta.queueWaitMs = (meta.queueWaitMs || 0) + waitMs;
+        return value;
+      },
+      meta.idempotent ?? false,
+      attempt => {
+        meta.attempts = attempt;
+      }
+    );
+  }
+
+  /**
+   * Whether the processor is known to only read data (read verb, catalog hint or MODX_MUTATING_OVERRIDES),
+   * so repeating it is safe
+   */
+  private isIdempotent(namespace: string, action: string): boolean {
+    const processor = this.processorCache?.processors.find(item => item.namespace === namespace && item.path === action);
+    return this.classifier.isRead(processor || { namespace, path: action });
+  }
+
+  /**
+   * POST form data to a connector, translating 401/403 into session expiry
+   */
+  private async postToConnector(
+    connectorUrl: string,
+    data: URLSearchParams | FormData,
+    refererUrl: string,
+    meta: RequestMeta = {},
+    responseType: 'json' | 'arraybuffer' = 'json'
+  ): Promise<AxiosResponse> {
+    try {
+      const response = await this.send(meta, () => this.httpClient.post(connectorUrl, data, {
+        timeout: meta.timeoutMs,
+        responseType,
+        headers: {
+          // Multipart bodies get their content type (with boundary) from axios
+          ...(data instanceof URLSearchParams ? { 'Content-Type': 'application/x-www-form-urlencoded; charset=UTF-8' } : {}),
+          'X-Requested-With': 'XMLHttpRequest',
+          'Referer': refererUrl,
+        },
+      }));
+      meta.httpStatus = response.status;
+      return response;
     } catch (error) {
       if (axios.isAxiosError(error)) {
-        if (error.response?.status === 401 || error.response?.status === 403) {
-          this.isAuthenticated = false;
-          this.sessionInfo.isAuthenticated = false;
-          throw new Error('Session expired. Please login again.');
-        }
-        
-        throw new Error(`HTTP error ${error.response?.status}: ${error.message}`);
+        meta.httpStatus = error.response?.status;
       }
-      
-      throw new Error(`Processor call failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      if (axios.isAxiosError(error) && (error.response?.status === 401 || error.response?.status === 403)) {
+        throw this.expireSession(String(data.get('HTTP_MODAUTH') ?? ''));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a parsed connector response is MODX's "not logged in" reply
+   */
+  private isAccessDeniedResult(result: any): boolean {
+    if (!result || typeof result !== 'object' || result.success !== false) {
+      return false;
+    }
+
+    const code = result.code ?? result.object?.code;
+    return String(code) === '401' || result.message === 'access_denied';
+  }
+
+  /**
+   * Check whether an HTML response is the manager login form
+   */
+  private isLoginPage(body: string): boolean {
+    return /<form[^>]+id=["']modx-login-form["']/i.test(body)
+      || (/<html/i.test(body) && /name=["']login["']/i.test(body) && /name=["']password["']/i.test(body));
+  }
+
+  /**
+   * Mark local session as expired and return the error to throw. A rejection of a token that a newer login
+   * already replaced leaves the current session alone, so its caller can replay without logging in again.
+   */
+  private expireSession(tokenUsed: string): SessionExpiredError {
+    if (tokenUsed === this.authToken) {
+      this.isAuthenticated = false;
+      this.sessionInfo.isAuthenticated = false;
+    }
+    return new SessionExpiredError();
+  }
+
+  /**
+   * Make sure there is a usable session, re-logging in with stored credentials if needed
+   */
+  private async ensureAuthenticated(): Promise<void> {
+    if (this.isAuthenticated) {
+      return;
+    }
+
+    if (!this.credentials || !(await this.relogin(this.authToken))) {
+      throw new Error('Not authenticated. Please login first.');
+    }
+  }
+
+  /**
+   * Run a request, re-authenticating once and replaying it if the session has expired
+   */
+  private async withSessionRetry<T>(operation: () => Promise<T>): Promise<T> {
+    const tokenUsed = this.authToken;
+
+    try {
+      return await operation();
+    } catch (error) {
+      if (!(error instanceof SessionExpiredError) || !this.credentials) {
+        throw error;
+      }
+
+      console.error('MODX session expired, logging in again...');
+      if (!(await this.relogin(tokenUsed))) {
+        throw error;
+      }
+
+      return operation();
     }
   }
 
+  /**
+   * Log in again with stored credentials. Concurrent callers share one login request,
+   * and callers whose token was already replaced by a newer login skip it entirely.
+   */
+  private async relogin(staleToken: string): Promise<boolean> {
+    if (this.isAuthenticated && this.authToken !== staleToken) {
+      return true;
+    }
+
+    if (!this.reloginPromise) {
+      const credentials = this.credentials;
+      this.reloginPromise = (async () => {
+        if (!credentials) {
+          return false;
+        }
+
+        // Unlike an explicit login, a failed re-login keeps the credentials for the next attempt
+        const result = await this.auditedLogin(credentials.username, credentials.password);
+        if (!result.success) {
+          console.error('Re-login failed:', result.message);
+        }
+        return result.success;
+      })().finally(() => {
+        this.reloginPromise = null;
+      });
+    }
+
+    return this.reloginPromise;
+  }
+
   /**
    * Logout from MODX
    */
   async logout(): Promise<{ success: boolean; message: string }> {
+    // Forget credentials so the logout call itself never triggers a re-login
+    const username = this.credentials?.username;
+    this.credentials = null;
+
+    if (this.sessionStore && username) {
+      await this.sessionStore.remove(this.baseUrl, username).catch(error => {
+        console.error('Failed to remove saved MODX session:', error instanceof Error ? error.message : error);
+      });
+    }
+
     try {
       if (this.isAuthenticated) {
         // Call logout processor
@@ -343,7 +1012,8 @@ export class ModxProxyService {
       // Clear session
       this.isAuthenticated = false;
       this.authToken = '';
-      this.sessionInfo = { isAuthenticated: false };
+      this.sessionInfo = { isAuthenticated: false, site: this.siteName };
+      this.registerSecrets();
       
       // Clear cookies
       await this.cookieJar.removeAllCookies();
@@ -357,7 +1027,8 @@ export class ModxProxyService {
       // Even if logout fails, clear local session
       this.isAuthenticated = false;
       this.authToken = '';
-      this.sessionInfo = { isAuthenticated: false };
+      this.sessionInfo = { isAuthenticated: false, site: this.siteName };
+      this.registerSecrets();
       
       return {
         success: true,
@@ -372,4 +1043,25 @@ export class ModxProxyService {
   getSessionInfo(): SessionInfo {
     return { ...this.sessionInfo };
   }
+
+  /**
+   * Request scheduler limits and current load
+   */
+  getRequestStats(): ReturnType<RequestScheduler['getStats']> {
+    return this.scheduler.getStats();
+  }
+
+  /**
+   * Name of the site profile this service is bound to
+   */
+  getSiteName(): string {
+    return this.siteName;
+  }
+
+  /**
+   * Get namespace => connector path routing table
+   */
+  getConnectors(): Record<string, string> {
+    return this.connectorMap.toJSON();
+  }
 }
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * Encoding of processor arguments into MODX connector form fields
+ */
+
+// Parameter types (as reported by the processor catalog) that MODX expects as a JSON string
+const JSON_TYPES = ['json'];
+
+// Scalar parameter types: structured values passed to them can only travel as JSON
+const SCALAR_TYPES = ['string', 'text'];
+
+/**
+ * Convert a scalar value to the string PHP expects to receive
+ */
+function scalarToString(value: any): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  return String(value);
+}
+
+/**
+ * Flatten a nested value into PHP-style bracket fields, e.g. tvs[0][id]=1
+ */
+function appendBracketFields(fields: Array<[string, string]>, key: string, value: any): void {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      fields.push([key, '']);
+      return;
+    }
+    value.forEach((item, index) => appendBracketFields(fields, `${key}[${index}]`, item));
+    return;
+  }
+
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      fields.push([key, '']);
+      return;
+    }
+    for (const [childKey, childValue] of entries) {
+      appendBracketFields(fields, `${key}[${childKey}]`, childValue);
+    }
+    return;
+  }
+
+  fields.push([key, value instanceof Date ? value.toISOString() : scalarToString(value)]);
+}
+
+/**
+ * Encode processor arguments into ordered form fields.
+ * Values for parameters typed as JSON (or structured values passed to plain string parameters)
+ * are sent as JSON strings, everything else nested is bracket-encoded.
+ */
+export function encodeProcessorParams(
+  data: Record<string, any>,
+  parameterTypes: Record<string, string> = {}
+): Array<[string, string]> {
+  const fields: Array<[string, string]> = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    const type = (parameterTypes[key] || '').toLowerCase();
+    const isStructured = value !== null && typeof value === 'object' && !(value instanceof Date);
+
+    if (JSON_TYPES.includes(type) || (isStructured && SCALAR_TYPES.includes(type))) {
+      fields.push([key, typeof value === 'string' ? value : JSON.stringify(value)]);
+      continue;
+    }
+
+    appendBracketFields(fields, key, value);
+  }
+
+  return fields;
+}
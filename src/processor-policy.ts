@@ -0,0 +1,146 @@
+import { globToRegExp } from './tool-filter.js';
+import { parseJsonObject } from './config-values.js';
+
+/**
+ * Catalog fields used to classify a processor
+ */
+export interface ClassifiableProcessor {
+  namespace: string;
+  path: string;
+  class?: string;
+  // Optional hints a processor catalog may provide
+  mutating?: boolean;
+  readonly?: boolean;
+  destructive?: boolean;
+}
+
+// Verbs that start the last action segment of processors changing data (e.g. updatefromgrid, removemultiple)
+const MUTATING_VERBS = [
+  'create', 'update', 'remove', 'delete', 'undelete', 'duplicate', 'publish', 'unpublish',
+  'sort', 'clear', 'upload', 'install', 'uninstall', 'save', 'rename', 'move', 'import',
+  'purge', 'truncate', 'empty', 'activate', 'deactivate', 'flush', 'change', 'reset',
+  'add', 'attach', 'detach', 'lock', 'unlock', 'refresh', 'reload', 'restore', 'set',
+  'toggle', 'copy', 'chmod', 'edit', 'insert', 'assign', 'unassign',
+];
+
+const MUTATING_VERB_PATTERN = new RegExp(`^(${MUTATING_VERBS.join('|')})`);
+
+// Processor class names ending with a mutating verb, e.g. modResourceUpdateProcessor or
+// MODX\Revolution\Processors\Resource\Update
+const MUTATING_CLASS_PATTERN = new RegExp(
+  `(${MUTATING_VERBS.map(verb => verb.charAt(0).toUpperCase() + verb.slice(1)).join('|')})(FromGrid|Multiple|All)?(Processor)?$`
+);
+
+// Last action segments of processors that only read data (get, getlist, getnodes, search...)
+const READ_VERB_PATTERN = /^(get\w*|search\w*|list\w*|view|read|count|find\w*)$/;
+
+// Processor class names of reads, e.g. modResourceGetListProcessor or MODX\Revolution\Processors\Resource\GetList
+const READ_CLASS_PATTERN = /(Get|GetList|GetNodes|Search)(Processor)?$/;
+
+// Verbs of processors that destroy data and require confirmation
+const DESTRUCTIVE_VERB_PATTERN = /^(remove|delete|purge|truncate|empty|uninstall|erase)/;
+
+const DESTRUCTIVE_CLASS_PATTERN = /(Remove|Delete|Purge|Truncate|Empty|Uninstall|Erase)(FromGrid|Multiple|All)?(Processor)?$/;
+
+/**
+ * Decides whether a processor changes data on the site
+ */
+export class MutationClassifier {
+  private overrides: Array<{ pattern: RegExp; mutating: boolean }> = [];
+
+  /**
+   * @param overrides Map of "namespace/path" glob => mutating flag; first matching pattern wins
+   */
+  constructor(overrides: Record<string, boolean> = {}) {
+    for (const [glob, mutating] of Object.entries(overrides)) {
+      this.overrides.push({ pattern: globToRegExp(glob), mutating: Boolean(mutating) });
+    }
+  }
+
+  /**
+   * Parse overrides from a JSON object string (MODX_MUTATING_OVERRIDES)
+   */
+  static parseOverrides(json: string | undefined): Record<string, boolean> {
+    return parseJsonObject(json, 'MODX_MUTATING_OVERRIDES', '"namespace/path" pattern => true/false');
+  }
+
+  /**
+   * Check whether calling the processor may modify site data
+   */
+  isMutating(processor: ClassifiableProcessor): boolean {
+    const target = `${processor.namespace}/${processor.path}`;
+
+    // Explicit configuration wins over everything else
+    for (const override of this.overrides) {
+      if (override.pattern.test(target)) {
+        return override.mutating;
+      }
+    }
+
+    // Then hints provided by the catalog
+    if (typeof processor.mutating === 'boolean') {
+      return processor.mutating;
+    }
+    if (typeof processor.readonly === 'boolean') {
+      return !processor.readonly;
+    }
+
+    const action = processor.path.split('/').pop()?.toLowerCase() || '';
+    if (MUTATING_VERB_PATTERN.test(action)) {
+      return true;
+    }
+
+    // Generic action names (e.g. "process") still reveal intent through the class name
+    const className = (processor.class || '').split('\\').pop() || '';
+    return MUTATING_CLASS_PATTERN.test(className);
+  }
+
+  /**
+   * Check whether the processor is known to only read data. Unlike isMutating, unknown actions
+   * (e.g. "mgr/send", "snippet/execute") are not reads: read-only mode and retries need certainty.
+   */
+  isRead(processor: ClassifiableProcessor): boolean {
+    const target = `${processor.namespace}/${processor.path}`;
+
+    for (const override of this.overrides) {
+      if (override.pattern.test(target)) {
+        return !override.mutating;
+      }
+    }
+
+    if (typeof processor.mutating === 'boolean') {
+      return !processor.mutating;
+    }
+    if (typeof processor.readonly === 'boolean') {
+      return processor.readonly;
+    }
+
+    const action = processor.path.split('/').pop()?.toLowerCase() || '';
+    if (MUTATING_VERB_PATTERN.test(action)) {
+      return false;
+    }
+    if (READ_VERB_PATTERN.test(action)) {
+      return true;
+    }
+
+    const className = (processor.class || '').split('\\').pop() || '';
+    return READ_CLASS_PATTERN.test(className) && !MUTATING_CLASS_PATTERN.test(className);
+  }
+
+  /**
+   * Check whether the processor destroys data (removal, purging), a subset of mutating processors
+   */
+  isDestructive(processor: ClassifiableProcessor): boolean {
+    if (!this.isMutating(processor)) {
+      return false;
+    }
+
+    if (typeof processor.destructive === 'boolean') {
+      return processor.destructive;
+    }
+
+    const action = processor.path.split('/').pop()?.toLowerCase() || '';
+    const className = (processor.class || '').split('\\').pop() || '';
+    return DESTRUCTIVE_VERB_PATTERN.test(action) || DESTRUCTIVE_CLASS_PATTERN.test(className);
+  }
+}
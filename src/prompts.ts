@@ -0,0 +1,207 @@
+import { readdirSync, readFileSync } from 'fs';
+import * as path from 'path';
+import { GetPromptResult, Prompt } from '@modelcontextprotocol/sdk/types.js';
+
+/**
+ * Prompt template. In "template", {{argument}} is replaced with the argument value and
+ * {{tool:namespace/path}} with the name of the tool calling that processor.
+ */
+export interface PromptDefinition {
+  name: string;
+  description?: string;
+  arguments?: Array<{
+    name: string;
+    description?: string;
+    required?: boolean;
+  }>;
+  template: string;
+}
+
+/**
+ * Resolves a processor ("core/resource/create") to its tool name on a site
+ */
+export type ToolResolver = (site: string | undefined, processor: string) => string;
+
+const BUILT_IN_PROMPTS: PromptDefinition[] = [
+  {
+    name: 'create_child_page',
+    description: 'Create a new page under a parent resource using a given template',
+    arguments: [
+      { name: 'parent', description: 'ID of the parent resource', required: true },
+      { name: 'template', description: 'Template ID or name', required: true },
+      { name: 'pagetitle', description: 'Title of the new page', required: true },
+      { name: 'brief', description: 'What the page should contain' },
+    ],
+    template: [
+      'Create a new MODX page titled "{{pagetitle}}" as a child of resource {{parent}}, using template "{{template}}".',
+      '',
+      '1. Check the parent exists with {{tool:core/resource/get}} (id {{parent}}) and note its context_key.',
+      '2. If the template was given by name, find its ID with {{tool:core/element/template/getlist}}.',
+      '3. Create the page with {{tool:core/resource/create}}: parent {{parent}}, the template ID, pagetitle "{{pagetitle}}",',
+      '   the parent\'s context_key, and published = 0 so it can be reviewed before going live.',
+      '4. Report the new resource ID and its URI.',
+      '',
+      'Page content brief: {{brief}}',
+    ].join('\n'),
+  },
+  {
+    name: 'audit_unpublished_resources',
+    description: 'List unpublished resources and summarise which look abandoned',
+    arguments: [
+      { name: 'context', description: 'Context key to audit (default: all contexts)' },
+    ],
+    template: [
+      'Audit unpublished resources on this MODX site. Context filter: "{{context}}" (empty means all contexts).',
+      '',
+      '1. Page through {{tool:core/resource/getlist}} and collect resources with published = 0',
+      '   (skip deleted ones; restrict to the context above if one is given).',
+      '2. For each, note id, pagetitle, parent, editedon/createdon and who last edited it.',
+      '3. Group the results: drafts edited recently, resources untouched for over 6 months, and empty pages.',
+      '4. Do not change anything; finish with a table and recommendations.',
+    ].join('\n'),
+  },
+  {
+    name: 'find_chunks_using_snippet',
+    description: 'Find chunks that call a given snippet',
+    arguments: [
+      { name: 'snippet', description: 'Snippet name', required: true },
+    ],
+    template: [
+      'Find every chunk that calls the snippet "{{snippet}}".',
+      '',
+      '1. List chunks with {{tool:core/element/chunk/getlist}}.',
+      '2. Read each chunk\'s content with {{tool:core/element/chunk/get}} and look for [[{{snippet}}, [[!{{snippet}}',
+      '   and [[{{snippet}}? / [[!{{snippet}}? calls (cached and uncached).',
+      '3. Report chunk name, id, category and the exact call with its parameters. Do not modify anything.',
+    ].join('\n'),
+  },
+];
+
+/**
+ * Built-in prompts for common MODX workflows plus project prompts loaded from a directory of JSON files
+ */
+export class PromptLibrary {
+  private resolveTool: ToolResolver;
+  private directory?: string;
+  private siteNames: string[];
+
+  /**
+   * @param siteNames With more than one site, prompts get a "site" argument
+   */
+  constructor(resolveTool: ToolResolver, siteNames: string[], directory?: string) {
+    this.resolveTool = resolveTool;
+    this.siteNames = siteNames;
+    this.directory = directory;
+  }
+
+  /**
+   * All prompts; project prompts override built-in ones with the same name
+   */
+  list(): Prompt[] {
+    return this.definitions().map(definition => ({
+      name: definition.name,
+      description: definition.description,
+      arguments: this.argumentsOf(definition),
+    }));
+  }
+
+  /**
+   * Render prompt with arguments
+   */
+  get(name: string, args: Record<string, string> = {}): GetPromptResult {
+    const definition = this.definitions().find(item => item.name === name);
+    if (!definition) {
+      throw new Error(`Unknown prompt: ${name}`);
+    }
+
+    for (const argument of this.argumentsOf(definition)) {
+      if (argument.required && !args[argument.name]) {
+        throw new Error(`Missing required argument: ${argument.name}`);
+      }
+    }
+
+    const site = args.site || undefined;
+    if (site && !this.siteNames.includes(site)) {
+      throw new Error(`Unknown site: ${site}`);
+    }
+
+    let text = definition.template.replace(/\{\{\s*tool:([^}\s]+)\s*\}\}/g, (_, processor) => this.resolveTool(site, processor));
+    text = text.replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (_, argument) => args[argument] ?? '');
+    if (site) {
+      text = `Work on the MODX site "${site}".\n\n${text}`;
+    }
+
+    return {
+      description: definition.description,
+      messages: [
+        {
+          role: 'user',
+          content: { type: 'text', text },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Declared arguments plus "site" when several sites are configured
+   */
+  private argumentsOf(definition: PromptDefinition): NonNullable<Prompt['arguments']> {
+    const args = [...(definition.arguments || [])];
+    if (this.siteNames.length > 1 && !args.some(argument => argument.name === 'site')) {
+      args.push({
+        name: 'site',
+        description: `Site to work on: ${this.siteNames.join(', ')}`,
+        required: true,
+      });
+    }
+    return args;
+  }
+
+  /**
+   * Built-in definitions merged with project ones, read on each call so edits apply without restart
+   */
+  private definitions(): PromptDefinition[] {
+    const byName = new Map<string, PromptDefinition>();
+    for (const definition of [...BUILT_IN_PROMPTS, ...this.loadDirectory()]) {
+      byName.set(definition.name, definition);
+    }
+    return [...byName.values()];
+  }
+
+  /**
+   * Read *.json prompt definitions from the project prompts directory
+   */
+  private loadDirectory(): PromptDefinition[] {
+    if (!this.directory) {
+      return [];
+    }
+
+    let files: string[];
+    try {
+      files = readdirSync(this.directory).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      console.error(`Cannot read prompts directory ${this.directory}:`, error instanceof Error ? error.message : error);
+      return [];
+    }
+
+    const definitions: PromptDefinition[] = [];
+    for (const file of files) {
+      try {
+        const definition = JSON.parse(readFileSync(path.join(this.directory, file), 'utf8'));
+        // Long templates may be written as an array of lines
+        const template = Array.isArray(definition.template) ? definition.template.join('\n') : definition.template;
+        if (!template || typeof template !== 'string') {
+          throw new Error('"template" is required');
+        }
+        definitions.push({
+          ...definition,
+          name: definition.name || path.basename(file, '.json'),
+          template,
+        });
+      } catch (error) {
+        console.error(`Skipping prompt ${file}:`, error instanceof Error ? error.message : error);
+      }
+    }
+    return definitions;
+  }
+}
@@ -0,0 +1,182 @@
+import { format } from 'util';
+import { globToRegExp } from './tool-filter.js';
+
+export const REDACTED = '[REDACTED]';
+
+// Parameter names whose values never leave the server; MODX_SENSITIVE_PARAMS adds more
+// (passwords by explicit names: a bare "*pass*" would also hide bypass, compass...)
+const DEFAULT_SENSITIVE_PARAMS = [
+  '*password*',
+  '*passwd*',
+  '*passphrase*',
+  'pass',
+  '*_pass',
+  'pwd',
+  '*_pwd',
+  '*secret*',
+  '*token*',
+  '*api?key*',
+  '*apikey*',
+  '*private?key*',
+  '*credential*',
+  '*modauth*',
+  'authorization',
+  'cookie',
+  'set-cookie',
+  'salt',
+  'hash',
+];
+
+// Shortest registered secret value replaced in free text; shorter ones would mangle ordinary words
+const MIN_SECRET_LENGTH = 4;
+
+// key=value (form data, query strings) and "key": "value" (JSON) pairs inside free text
+const KEY_VALUE_PATTERN = /([A-Za-z0-9_.\-[\]]+)(["']?\s*[:=]\s*)("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s&,;}"']+)/g;
+
+/**
+ * Removes secrets from anything that leaves the server: tool results, error payloads, logs and audit entries.
+ *
+ * Values are redacted when their key matches a sensitive name pattern (case-insensitive globs,
+ * e.g. "*password*"), and known secret values such as passwords used to log in are masked
+ * wherever they appear in text.
+ */
+export class Redactor {
+  private patterns: RegExp[];
+  // Secret value => number of sessions using it
+  private secrets = new Map<string, number>();
+
+  constructor(patterns: string[] = DEFAULT_SENSITIVE_PARAMS) {
+    this.patterns = patterns
+      .map(pattern => pattern.trim())
+      .filter(pattern => pattern !== '')
+      .map(globToRegExp);
+  }
+
+  /**
+   * Default patterns plus comma-separated globs from MODX_SENSITIVE_PARAMS
+   */
+  static fromEnv(): Redactor {
+    const extra = (process.env.MODX_SENSITIVE_PARAMS || '').split(',');
+    return new Redactor([...DEFAULT_SENSITIVE_PARAMS, ...extra]);
+  }
+
+  /**
+   * Whether values of this parameter must be hidden. Bracketed names ("password[0]") are checked by their base name.
+   */
+  isSensitive(name: string): boolean {
+    const baseName = name.replace(/\[.*$/, '');
+    return this.patterns.some(pattern => pattern.test(name) || pattern.test(baseName));
+  }
+
+  /**
+   * Remember a secret value (password, session token) so it is masked in free text too
+   */
+  addSecret(value: string | undefined | null): void {
+    if (value && value.length >= MIN_SECRET_LENGTH) {
+      this.secrets.set(value, (this.secrets.get(value) || 0) + 1);
+    }
+  }
+
+  /**
+   * Release a value registered by addSecret, e.g. the token of an ended session; it stays masked
+   * while another session still uses it
+   */
+  removeSecret(value: string | undefined | null): void {
+    const count = value ? this.secrets.get(value) : undefined;
+    if (count === undefined) {
+      return;
+    }
+    if (count > 1) {
+      this.secrets.set(value!, count - 1);
+    } else {
+      this.secrets.delete(value!);
+    }
+  }
+
+  /**
+   * Copy of a value with sensitive keys replaced, recursively
+   */
+  redact<T>(value: T): T {
+    return this.redactValue(value, new WeakSet()) as T;
+  }
+
+  /**
+   * Mask known secrets and sensitive key=value / "key": "value" pairs in text
+   */
+  redactText(text: string): string {
+    return this.maskSecrets(text).replace(KEY_VALUE_PATTERN, (match, key: string, separator: string, value: string) => {
+      if (!this.isSensitive(key) || value.includes(REDACTED)) {
+        return match;
+      }
+      const quote = /^["']/.test(value) ? value[0] : '';
+      return `${key}${separator}${quote}${REDACTED}${quote}`;
+    });
+  }
+
+  /**
+   * Error message safe to show to clients or write to logs
+   */
+  errorMessage(error: unknown, fallback = 'Unknown error'): string {
+    return this.redactText(error instanceof Error ? error.message : fallback);
+  }
+
+  /**
+   * Wrap console.error, console.warn and console.log so every stderr/stdout line is redacted
+   */
+  installConsole(): void {
+    for (const method of ['error', 'warn', 'log'] as const) {
+      const original = console[method].bind(console);
+      console[method] = (...args: any[]) => {
+        original(this.redactText(format(...args.map(arg => this.forLog(arg)))));
+      };
+    }
+  }
+
+  /**
+   * Prepare console argument: errors become their (stack) text, objects lose sensitive keys
+   */
+  private forLog(arg: any): any {
+    if (arg instanceof Error) {
+      return arg.stack || `${arg.name}: ${arg.message}`;
+    }
+    return typeof arg === 'object' && arg !== null ? this.redact(arg) : arg;
+  }
+
+  /**
+   * Replace registered secret values wherever they occur
+   */
+  private maskSecrets(text: string): string {
+    let masked = text;
+    for (const secret of this.secrets.keys()) {
+      masked = masked.split(secret).join(REDACTED);
+    }
+    return masked;
+  }
+
+  private redactValue(value: any, seen: WeakSet<object>): any {
+    // Strings inside structured values (e.g. page content) only lose known secrets
+    if (typeof value === 'string') {
+      return this.maskSecrets(value);
+    }
+    if (!value || typeof value !== 'object' || value instanceof Date || ArrayBuffer.isView(value)) {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, seen));
+    }
+
+    const redacted: Record<string, any> = {};
+    for (const [key, item] of Object.entries(value)) {
+      redacted[key] = this.isSensitive(key) && item !== null && item !== '' ? REDACTED : this.redactValue(item, seen);
+    }
+    return redacted;
+  }
+}
+
+// Shared instance: secrets registered by any site service are masked everywhere
+export const redactor = Redactor.fromEnv();
@@ -0,0 +1,125 @@
+export interface SchedulerOptions {
+  // Connector requests allowed in flight at once; 0 disables the limit
+  maxConcurrent: number;
+  // Sustained request starts per second (bursts up to one second's worth); 0 disables the limit
+  requestsPerSecond: number;
+}
+
+const DEFAULT_MAX_CONCURRENT = 4;
+
+/**
+ * Non-negative number from a profile value or environment variable, or undefined when not set/invalid
+ */
+function parseLimit(value: unknown): number | undefined {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+/**
+ * Throttles outbound requests of one site: caps requests in flight and the request rate.
+ * Requests over either limit wait in a FIFO queue, so every caller is served in arrival order.
+ */
+export class RequestScheduler {
+  private maxConcurrent: number;
+  private requestsPerSecond: number;
+  private queue: Array<() => void> = [];
+  private active = 0;
+  // Token bucket for the rate limit
+  private tokens: number;
+  private refilledAt = Date.now();
+  private timer: NodeJS.Timeout | null = null;
+
+  constructor(options: SchedulerOptions) {
+    this.maxConcurrent = Math.floor(options.maxConcurrent);
+    this.requestsPerSecond = options.requestsPerSecond;
+    this.tokens = this.burstSize();
+  }
+
+  /**
+   * Limits from site profile values, falling back to MODX_MAX_CONCURRENT_REQUESTS and MODX_REQUESTS_PER_SECOND
+   */
+  static fromSettings(maxConcurrent?: number, requestsPerSecond?: number): RequestScheduler {
+    return new RequestScheduler({
+      maxConcurrent: parseLimit(maxConcurrent) ?? parseLimit(process.env.MODX_MAX_CONCURRENT_REQUESTS) ?? DEFAULT_MAX_CONCURRENT,
+      requestsPerSecond: parseLimit(requestsPerSecond) ?? parseLimit(process.env.MODX_REQUESTS_PER_SECOND) ?? 0,
+    });
+  }
+
+  /**
+   * Run task once a slot is free. Returns its result and the time spent waiting in the queue.
+   */
+  async run<T>(task: () => Promise<T>): Promise<{ value: T; waitMs: number }> {
+    const queuedAt = Date.now();
+    await new Promise<void>(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+    const waitMs = Date.now() - queuedAt;
+
+    try {
+      return { value: await task(), waitMs };
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Current limits and load, for session reports
+   */
+  getStats(): SchedulerOptions & { active: number; queued: number } {
+    return {
+      maxConcurrent: this.maxConcurrent,
+      requestsPerSecond: this.requestsPerSecond,
+      active: this.active,
+      queued: this.queue.length,
+    };
+  }
+
+  /**
+   * Start queued requests while both limits allow; schedule a retry when only the rate limit blocks
+   */
+  private drain(): void {
+    this.refill();
+
+    while (this.queue.length > 0 && this.hasFreeSlot() && this.hasToken()) {
+      this.active++;
+      if (this.requestsPerSecond > 0) {
+        this.tokens -= 1;
+      }
+      this.queue.shift()!();
+    }
+
+    if (this.queue.length > 0 && this.hasFreeSlot() && !this.timer) {
+      const delay = Math.ceil(((1 - this.tokens) * 1000) / this.requestsPerSecond);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, Math.max(1, delay));
+    }
+  }
+
+  private hasFreeSlot(): boolean {
+    return this.maxConcurrent <= 0 || this.active < this.maxConcurrent;
+  }
+
+  private hasToken(): boolean {
+    return this.requestsPerSecond <= 0 || this.tokens >= 1;
+  }
+
+  private burstSize(): number {
+    return Math.max(1, Math.floor(this.requestsPerSecond));
+  }
+
+  private refill(): void {
+    if (this.requestsPerSecond <= 0) {
+      return;
+    }
+    const now = Date.now();
+    this.tokens = Math.min(this.burstSize(), this.tokens + ((now - this.refilledAt) / 1000) * this.requestsPerSecond);
+    this.refilledAt = now;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Shaping of processor results before they are returned to the client
+ */
+
+export type ResponseFormat = 'json' | 'table';
+
+export interface FormatOptions {
+  // Keep only these fields of each result item / of the returned object
+  fields?: string[];
+  format?: ResponseFormat;
+  // Maximum length of the returned text; 0 disables the limit
+  maxChars?: number;
+}
+
+// Longest value shown in a table cell
+const MAX_CELL_CHARS = 120;
+
+/**
+ * Parse _fields argument given as an array or comma-separated string
+ */
+export function parseFields(value: any): string[] | undefined {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const fields = list.map(item => String(item).trim()).filter(item => item !== '');
+  return fields.length > 0 ? fields : undefined;
+}
+
+/**
+ * Pick fields from an object, supporting dotted paths for nested values (e.g. "properties.foo")
+ */
+function pick(item: any, fields: string[]): any {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return item;
+  }
+
+  const picked: Record<string, any> = {};
+  for (const field of fields) {
+    if (field in item) {
+      picked[field] = item[field];
+      continue;
+    }
+
+    const value = field.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), item);
+    if (value !== undefined) {
+      picked[field] = value;
+    }
+  }
+  return picked;
+}
+
+/**
+ * Apply field projection to results list and/or object of a processor result
+ */
+export function projectFields(result: Record<string, any>, fields?: string[]): Record<string, any> {
+  if (!fields) {
+    return result;
+  }
+
+  const projected = { ...result };
+  if (Array.isArray(projected.results)) {
+    projected.results = projected.results.map(item => pick(item, fields));
+  }
+  if (projected.object && typeof projected.object === 'object' && !Array.isArray(projected.object)) {
+    projected.object = pick(projected.object, fields);
+  }
+  return projected;
+}
+
+/**
+ * Single-line table cell
+ */
+function cell(value: any): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  text = text.replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+  return text.length > MAX_CELL_CHARS ? `${text.substring(0, MAX_CELL_CHARS - 1)}…` : text;
+}
+
+/**
+ * Render list result as a compact pipe table with a summary line; non-list results stay JSON
+ */
+function renderTable(result: Record<string, any>, fields?: string[]): string {
+  const items: any[] = result.results;
+
+  const columns: string[] = fields ? [...fields] : [];
+  if (!fields) {
+    for (const item of items) {
+      for (const key of Object.keys(item && typeof item === 'object' ? item : {})) {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      }
+    }
+  }
+
+  const summary: string[] = [`success: ${result.success !== false}`];
+  if (result.total !== undefined) {
+    summary.push(`total: ${result.total}`);
+  }
+  summary.push(`rows: ${items.length}`);
+  if (result.pagination) {
+    summary.push(`pages: ${result.pagination.pages}`);
+  }
+  if (result._truncated) {
+    summary.push(`omitted: ${result._truncated.omitted} (response size limit)`);
+  }
+  if (result.message) {
+    summary.push(`message: ${cell(result.message)}`);
+  }
+
+  const lines = [summary.join(', ')];
+  if (columns.length > 0) {
+    lines.push(columns.join(' | '));
+    lines.push(columns.map(() => '---').join(' | '));
+    for (const item of items) {
+      lines.push(columns.map(column => cell(item?.[column])).join(' | '));
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render result in the requested format
+ */
+function render(result: Record<string, any>, options: FormatOptions): string {
+  if (options.format === 'table' && Array.isArray(result.results)) {
+    return renderTable(result, options.fields);
+  }
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Project, render and size-limit a processor result.
+ * Lists are cut to the number of items that fit and marked with "_truncated";
+ * anything else that is still too long is cut with a trailing marker.
+ */
+export function formatProcessorResult(result: Record<string, any>, options: FormatOptions = {}): string {
+  const projected = projectFields(result, options.fields);
+  const maxChars = options.maxChars || 0;
+
+  let text = render(projected, options);
+  if (!maxChars || text.length <= maxChars) {
+    return text;
+  }
+
+  if (Array.isArray(projected.results) && projected.results.length > 0) {
+    const items = projected.results;
+    const withItems = (count: number) => render({
+      ...projected,
+      results: items.slice(0, count),
+      _truncated: {
+        returned: count,
+        omitted: items.length - count,
+        hint: 'Response size limit reached; use _fields, a smaller limit or start to page through the rest',
+      },
+    }, options);
+
+    // Largest number of items that still fits
+    let low = 0;
+    let high = items.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (withItems(middle).length <= maxChars) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    text = withItems(low);
+    if (text.length <= maxChars) {
+      return text;
+    }
+  }
+
+  const omitted = text.length - maxChars;
+  return `${text.substring(0, maxChars)}\n… [truncated ${omitted} characters; use _fields or narrower arguments]`;
+}
@@ -0,0 +1,198 @@
+import axios, { AxiosError } from 'axios';
+import { globToRegExp } from './tool-filter.js';
+import { parseJsonObject } from './config-values.js';
+
+export type RequestFailureKind = 'timeout' | 'network' | 'http';
+
+/**
+ * Connector request that failed below MODX: timed out, never reached the server or got an HTTP error status.
+ * Failures reported by MODX itself come back as results with success: false instead.
+ */
+export class RequestFailure extends Error {
+  kind: RequestFailureKind;
+  status?: number;
+  attempts: number;
+
+  constructor(kind: RequestFailureKind, message: string, attempts: number, status?: number) {
+    super(attempts > 1 ? `${message} (after ${attempts} attempts)` : message);
+    this.name = 'RequestFailure';
+    this.kind = kind;
+    this.status = status;
+    this.attempts = attempts;
+  }
+
+  /**
+   * Describe a failed axios request
+   */
+  static fromAxiosError(error: AxiosError, attempts: number, timeoutMs?: number): RequestFailure {
+    if (isTimeout(error)) {
+      const limit = timeoutMs ? ` after ${timeoutMs} ms` : '';
+      return new RequestFailure('timeout', `Request timed out${limit}`, attempts);
+    }
+    if (!error.response) {
+      return new RequestFailure('network', `Network error${error.code ? ` (${error.code})` : ''}: ${error.message}`, attempts);
+    }
+    return new RequestFailure('http', `HTTP error ${error.response.status}: ${error.message}`, attempts, error.response.status);
+  }
+}
+
+export interface RetryOptions {
+  // Additional attempts after the first one
+  retries: number;
+  baseDelayMs: number;
+  // Longest wait between attempts; a longer Retry-After ends the retries
+  maxDelayMs: number;
+}
+
+// Gateway and overload statuses worth another attempt
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ECONNABORTED'];
+
+// Failures where the server cannot have started processing, so even data-changing calls may be repeated
+const NOT_PROCESSED_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+const NOT_PROCESSED_STATUSES = [429];
+
+function isTimeout(error: AxiosError): boolean {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message);
+}
+
+/**
+ * Non-negative integer from an environment variable, or the default
+ */
+function envNumber(name: string, defaultValue: number): number {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in milliseconds
+ */
+export function parseRetryAfter(value: unknown): number | undefined {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return undefined;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter for transient connector failures.
+ * Idempotent calls are retried on any transient failure; others only when the request was certainly not processed.
+ */
+export class RetryPolicy {
+  private options: RetryOptions;
+
+  constructor(options: RetryOptions) {
+    this.options = options;
+  }
+
+  /**
+   * Policy from MODX_RETRY_ATTEMPTS, MODX_RETRY_BASE_DELAY and MODX_RETRY_MAX_DELAY
+   */
+  static fromEnv(): RetryPolicy {
+    return new RetryPolicy({
+      retries: envNumber('MODX_RETRY_ATTEMPTS', 2),
+      baseDelayMs: envNumber('MODX_RETRY_BASE_DELAY', 500),
+      maxDelayMs: envNumber('MODX_RETRY_MAX_DELAY', 30000),
+    });
+  }
+
+  /**
+   * Run attempt until it succeeds, fails permanently or retries are exhausted.
+   * onAttempt receives the number of the attempt about to run.
+   */
+  async execute<T>(attempt: () => Promise<T>, idempotent: boolean, onAttempt?: (attempt: number) => void): Promise<T> {
+    for (let number = 1; ; number++) {
+      onAttempt?.(number);
+      try {
+        return await attempt();
+      } catch (error) {
+        const delay = number <= this.options.retries ? this.retryDelay(error, number, idempotent) : undefined;
+        if (delay === undefined) {
+          throw error;
+        }
+        console.error(`Transient MODX request failure (${error instanceof Error ? error.message : error}), retrying in ${delay} ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt, or undefined when the error must not be retried
+   */
+  private retryDelay(error: unknown, attempt: number, idempotent: boolean): number | undefined {
+    if (!axios.isAxiosError(error)) {
+      return undefined;
+    }
+
+    const status = error.response?.status;
+    const code = error.code || '';
+    const transient = status !== undefined
+      ? TRANSIENT_STATUSES.includes(status)
+      : TRANSIENT_NETWORK_CODES.includes(code) || isTimeout(error);
+    const notProcessed = status !== undefined ? NOT_PROCESSED_STATUSES.includes(status) : NOT_PROCESSED_CODES.includes(code);
+
+    if (!transient || (!idempotent && !notProcessed)) {
+      return undefined;
+    }
+
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (retryAfter !== undefined && retryAfter > this.options.maxDelayMs) {
+      return undefined;
+    }
+
+    const backoff = Math.min(this.options.maxDelayMs, this.options.baseDelayMs * 2 ** (attempt - 1));
+    const jittered = Math.round(Math.random() * backoff);
+    return Math.max(jittered, retryAfter ?? 0);
+  }
+}
+
+/**
+ * Request timeouts: default, per-processor glob overrides ("core/system/*": 120000)
+ */
+export class TimeoutTable {
+  private defaultMs: number;
+  private overrides: Array<{ pattern: RegExp; timeoutMs: number }> = [];
+
+  constructor(defaultMs: number, overrides: Record<string, number> = {}) {
+    this.defaultMs = defaultMs;
+    for (const [glob, timeoutMs] of Object.entries(overrides)) {
+      const value = Number(timeoutMs);
+      if (Number.isFinite(value) && value >= 0) {
+        this.overrides.push({ pattern: globToRegExp(glob), timeoutMs: value });
+      }
+    }
+  }
+
+  /**
+   * Timeout of requests not matched by an override
+   */
+  get defaultTimeoutMs(): number {
+    return this.defaultMs;
+  }
+
+  /**
+   * Table from MODX_REQUEST_TIMEOUT (ms, default 30000) and MODX_PROCESSOR_TIMEOUTS (JSON object of glob => ms)
+   */
+  static fromEnv(): TimeoutTable {
+    const overrides = parseJsonObject(
+      process.env.MODX_PROCESSOR_TIMEOUTS,
+      'MODX_PROCESSOR_TIMEOUTS',
+      '"namespace/path" pattern => milliseconds'
+    );
+    return new TimeoutTable(envNumber('MODX_REQUEST_TIMEOUT', 30000), overrides);
+  }
+
+  /**
+   * Timeout for a processor; first matching pattern wins, 0 means no timeout
+   */
+  timeoutFor(namespace: string, action: string): number {
+    const key = `${namespace}/${action}`;
+    const match = this.overrides.find(override => override.pattern.test(key));
+    return match ? match.timeoutMs : this.defaultMs;
+  }
+}
@@ -0,0 +1,81 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { CookieJar } from 'tough-cookie';
+
+/**
+ * Session data kept between server restarts
+ */
+export interface StoredSession {
+  baseUrl: string;
+  username: string;
+  authToken: string;
+  cookies: CookieJar.Serialized;
+  user?: any;
+  loginTime?: string;
+  savedAt: string;
+}
+
+/**
+ * File-backed store of MODX sessions, one file per base URL and user.
+ * Files hold live session cookies, so the directory and files are readable by the owner only.
+ */
+export class SessionStore {
+  private directory: string;
+
+  constructor(directory: string) {
+    this.directory = directory;
+  }
+
+  /**
+   * Load saved session, or null if there is none or it cannot be read
+   */
+  async load(baseUrl: string, username: string): Promise<StoredSession | null> {
+    try {
+      const content = await fs.readFile(this.fileFor(baseUrl, username), 'utf8');
+      const session: StoredSession = JSON.parse(content);
+
+      // Guard against hash collisions and hand-edited files
+      if (session.baseUrl !== baseUrl || session.username !== username || !session.cookies) {
+        return null;
+      }
+      return session;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        console.error('Failed to read saved session:', error instanceof Error ? error.message : error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save session, replacing any previous one for the same base URL and user
+   */
+  async save(session: StoredSession): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+    const file = this.fileFor(session.baseUrl, session.username);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(session, null, 2), { mode: 0o600 });
+    await fs.chmod(tempFile, 0o600);
+    await fs.rename(tempFile, file);
+  }
+
+  /**
+   * Delete saved session
+   */
+  async remove(baseUrl: string, username: string): Promise<void> {
+    try {
+      await fs.unlink(this.fileFor(baseUrl, username));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  private fileFor(baseUrl: string, username: string): string {
+    const key = createHash('sha256').update(`${baseUrl}\n${username}`).digest('hex').substring(0, 32);
+    return path.join(this.directory, `session-${key}.json`);
+  }
+}
@@ -0,0 +1,147 @@
+import { CallOptions, ModxProxyService } from './modx-proxy.js';
+import { ProcessorFilter } from './tool-filter.js';
+import { ClassifiableProcessor, MutationClassifier } from './processor-policy.js';
+import { JournalEntry, JournalExecutor, UndoJournal } from './undo-journal.js';
+
+/**
+ * Catalog entry of a processor: classification hints and the parameters it accepts
+ */
+export interface CatalogProcessor extends ClassifiableProcessor {
+  parameters?: Array<{ name: string }>;
+}
+
+export interface SiteExecutorOptions {
+  filter: ProcessorFilter;
+  classifier: MutationClassifier;
+  readOnly?: boolean;
+  undoJournal?: UndoJournal | null;
+  // Catalog entry of a processor, for classification hints and state lookups
+  findProcessor?: (namespace: string, action: string) => CatalogProcessor | undefined;
+}
+
+/**
+ * Runs processors of one site with the rules applied to tool calls: tool filter, read-only mode and undo journal.
+ * Shared by the MCP server and the command line sync, so both treat a site the same way.
+ */
+export class SiteExecutor {
+  private site: string;
+  private modxProxy: ModxProxyService;
+  private options: SiteExecutorOptions;
+
+  constructor(site: string, modxProxy: ModxProxyService, options: SiteExecutorOptions) {
+    this.site = site;
+    this.modxProxy = modxProxy;
+    this.options = options;
+  }
+
+  /**
+   * Check whether a processor is blocked because the site is read-only
+   */
+  isBlockedByReadOnly(processor: ClassifiableProcessor): boolean {
+    return Boolean(this.options.readOnly) && !this.options.classifier.isRead(processor);
+  }
+
+  /**
+   * Refuse processors hidden by the tool filter or blocked by read-only mode
+   */
+  assertAllowed(namespace: string, action: string): void {
+    const refusal = this.refusal(namespace, action);
+    if (refusal) {
+      throw new Error(refusal);
+    }
+  }
+
+  /**
+   * Fetch the current state of the object a processor call targets, via the sibling "get" processor
+   * (e.g. resource/delete -> resource/get). Returns undefined when there is no such processor, and a note
+   * instead of the state when the tool filter or read-only mode would refuse the get processor itself.
+   */
+  async currentState(namespace: string, action: string, data: Record<string, any>): Promise<any> {
+    const getAction = action.replace(/[^/]+$/, 'get');
+    const getProcessor = getAction !== action ? this.options.findProcessor?.(namespace, getAction) : undefined;
+    if (!getProcessor) {
+      return undefined;
+    }
+
+    const refusal = this.refusal(namespace, getAction);
+    if (refusal) {
+      return { note: `Current state not loaded: ${refusal}` };
+    }
+
+    // Pass only the identifying arguments the get processor understands
+    const getArgs: Record<string, any> = {};
+    for (const param of getProcessor.parameters || []) {
+      if (param.name && data[param.name] !== undefined) {
+        getArgs[param.name] = data[param.name];
+      }
+    }
+    if (data.id !== undefined) {
+      getArgs.id = data.id;
+    }
+    if (Object.keys(getArgs).length === 0) {
+      return undefined;
+    }
+
+    try {
+      const result = await this.modxProxy.callProcessor(namespace, getAction, getArgs);
+      return result.success ? (result.object ?? result.data) : { error: result.message || 'Failed to load current state' };
+    } catch (error) {
+      return { error: error instanceof Error ? error.message : 'Failed to load current state' };
+    }
+  }
+
+  /**
+   * Call a processor, journaling the state of the changed object first when the undo journal is enabled
+   */
+  async call(
+    namespace: string,
+    action: string,
+    data: Record<string, any>,
+    options: CallOptions = {}
+  ): Promise<Record<string, any>> {
+    const undoJournal = this.options.undoJournal;
+
+    let entry: JournalEntry | undefined;
+    if (undoJournal) {
+      try {
+        entry = await undoJournal.capture(this.site, namespace, action, data, (ns, path, args) => this.modxProxy.callProcessor(ns, path, args));
+      } catch (error) {
+        console.error(`Failed to snapshot state before ${namespace}/${action}:`, error instanceof Error ? error.message : error);
+      }
+    }
+
+    const result = await this.modxProxy.callProcessor(namespace, action, data, options);
+    if (entry && result.success) {
+      try {
+        await undoJournal!.save(entry);
+        return { ...result, journalId: entry.journalId };
+      } catch (error) {
+        console.error('Failed to write undo journal:', error instanceof Error ? error.message : error);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Why the tool filter or read-only mode refuses a processor, or undefined when it may be called
+   */
+  private refusal(namespace: string, action: string): string | undefined {
+    if (!this.options.filter.allows(namespace, action)) {
+      return `Processor ${namespace}/${action} is not allowed on this server`;
+    }
+    if (this.isBlockedByReadOnly(this.options.findProcessor?.(namespace, action) || { namespace, path: action })) {
+      return `Processor ${namespace}/${action} modifies data and site "${this.site}" is in read-only mode`;
+    }
+    return undefined;
+  }
+
+  /**
+   * Processor runner checked by assertAllowed; journaled unless it restores journal entries itself
+   */
+  executor(journaled = true): JournalExecutor {
+    return async (namespace, action, args) => {
+      this.assertAllowed(namespace, action);
+      return journaled ? this.call(namespace, action, args) : this.modxProxy.callProcessor(namespace, action, args);
+    };
+  }
+}
@@ -0,0 +1,164 @@
+import { readFileSync } from 'fs';
+import * as path from 'path';
+import { ProcessorFilter } from './tool-filter.js';
+import { isTruthy } from './config-values.js';
+
+/**
+ * Named manager account, so tools can log in without passing passwords in clear text
+ */
+export interface UserCredentials {
+  username: string;
+  password: string;
+}
+
+/**
+ * Connection settings of a single MODX site
+ */
+export interface SiteProfile {
+  name: string;
+  baseUrl: string;
+  connectorPath: string;
+  adminPath: string;
+  username?: string;
+  password?: string;
+  connectors?: Record<string, string>;
+  // Allow/deny patterns for processors exposed as tools (see ProcessorFilter)
+  tools?: string[];
+  // Hide and refuse processors that modify data
+  readOnly?: boolean;
+  // Named accounts available to modx_login / modx_switch_user
+  users?: Record<string, UserCredentials>;
+  // Directory for saved sessions (cookies and token) reused across restarts
+  sessionStore?: string;
+  // Request scheduler limits (see RequestScheduler); default to MODX_MAX_CONCURRENT_REQUESTS / MODX_REQUESTS_PER_SECOND
+  maxConcurrentRequests?: number;
+  requestsPerSecond?: number;
+  // Directory local files may be uploaded from (MODX_UPLOAD_DIR)
+  uploadDir?: string;
+  // Local directory elements are synced with (see ElementSync)
+  syncDir?: string;
+}
+
+const DEFAULT_SITE_NAME = 'default';
+
+/**
+ * Make a site name usable as part of a tool name
+ */
+export function sanitizeSiteName(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '_');
+}
+
+/**
+ * Parse named accounts: an object of name => { username, password }, possibly as a JSON string
+ */
+function parseUsers(value: any, source: string): Record<string, UserCredentials> | undefined {
+  if (!value) {
+    return undefined;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      throw new Error(`Invalid JSON in ${source}`);
+    }
+  }
+
+  const users: Record<string, UserCredentials> = {};
+  for (const [name, entry] of Object.entries<any>(parsed || {})) {
+    if (!entry || !entry.username || !entry.password) {
+      throw new Error(`Account "${name}" in ${source} must define username and password`);
+    }
+    users[name] = { username: String(entry.username), password: String(entry.password) };
+  }
+  return users;
+}
+
+/**
+ * Build profile from a raw JSON entry, falling back to global MODX_* defaults for paths
+ */
+function profileFromEntry(name: string, entry: any): SiteProfile {
+  if (!entry || typeof entry !== 'object' || !entry.baseUrl) {
+    throw new Error(`Site profile "${name}" must define baseUrl`);
+  }
+
+  return {
+    name: sanitizeSiteName(name),
+    baseUrl: String(entry.baseUrl).replace(/\/$/, ''),
+    connectorPath: entry.connectorPath || process.env.MODX_CONNECTOR_PATH || '/connectors/',
+    adminPath: entry.adminPath || process.env.MODX_ADMIN_PATH || '/manager/',
+    username: entry.username,
+    password: entry.password,
+    connectors: entry.connectors,
+    tools: ProcessorFilter.parse(entry.tools ?? process.env.MODX_TOOLS),
+    readOnly: entry.readOnly ?? isTruthy(process.env.MODX_READ_ONLY),
+    users: parseUsers(entry.users, `site profile "${name}"`) ?? parseUsers(process.env.MODX_USERS, 'MODX_USERS'),
+    sessionStore: entry.sessionStore || process.env.MODX_SESSION_STORE,
+    maxConcurrentRequests: entry.maxConcurrentRequests,
+    requestsPerSecond: entry.requestsPerSecond,
+    uploadDir: entry.uploadDir || process.env.MODX_UPLOAD_DIR,
+    // Sites sharing MODX_SYNC_DIR get a subdirectory each
+    syncDir: entry.syncDir || (process.env.MODX_SYNC_DIR ? path.join(process.env.MODX_SYNC_DIR, sanitizeSiteName(name)) : undefined),
+  };
+}
+
+/**
+ * Parse profiles from JSON: either an array of profiles with "name" or an object keyed by name
+ */
+function parseProfiles(json: string, source: string): SiteProfile[] {
+  let parsed: any;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`Invalid JSON in ${source}`);
+  }
+
+  const entries: Array<[string, any]> = Array.isArray(parsed)
+    ? parsed.map((entry, index) => [entry?.name || `site${index + 1}`, entry])
+    : Object.entries(parsed || {});
+
+  const profiles = entries.map(([name, entry]) => profileFromEntry(name, entry));
+  const names = new Set<string>();
+  for (const profile of profiles) {
+    if (names.has(profile.name)) {
+      throw new Error(`Duplicate site profile "${profile.name}" in ${source}`);
+    }
+    names.add(profile.name);
+  }
+  return profiles;
+}
+
+/**
+ * Load site profiles from MODX_SITES (inline JSON) or MODX_SITES_FILE (path to JSON).
+ * Without either, a single profile is built from the MODX_* environment variables.
+ */
+export function loadSiteProfiles(): SiteProfile[] {
+  let profiles: SiteProfile[] = [];
+
+  if (process.env.MODX_SITES) {
+    profiles = parseProfiles(process.env.MODX_SITES, 'MODX_SITES');
+  } else if (process.env.MODX_SITES_FILE) {
+    const file = process.env.MODX_SITES_FILE;
+    profiles = parseProfiles(readFileSync(file, 'utf8'), file);
+  }
+
+  if (profiles.length > 0) {
+    return profiles;
+  }
+
+  return [{
+    name: sanitizeSiteName(process.env.MODX_SITE_NAME || DEFAULT_SITE_NAME),
+    baseUrl: process.env.MODX_BASE_URL || 'http://localhost',
+    connectorPath: process.env.MODX_CONNECTOR_PATH || '/connectors/',
+    adminPath: process.env.MODX_ADMIN_PATH || '/manager/',
+    username: process.env.MODX_USERNAME,
+    password: process.env.MODX_PASSWORD,
+    tools: ProcessorFilter.parse(process.env.MODX_TOOLS),
+    readOnly: isTruthy(process.env.MODX_READ_ONLY),
+    users: parseUsers(process.env.MODX_USERS, 'MODX_USERS'),
+    sessionStore: process.env.MODX_SESSION_STORE,
+    uploadDir: process.env.MODX_UPLOAD_DIR,
+    syncDir: process.env.MODX_SYNC_DIR,
+  }];
+}
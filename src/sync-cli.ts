@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Command line element sync: modx-sync <status|pull|push> [--site=name] [--dir=path] [--kinds=chunk,snippet] [--force]
+ */
+
+import { ModxProxyService } from './modx-proxy.js';
+import { loadSiteProfiles } from './site-profiles.js';
+import { MutationClassifier } from './processor-policy.js';
+import { RetryPolicy, TimeoutTable } from './retry-policy.js';
+import { AuditLog } from './audit-log.js';
+import { ElementSync } from './element-sync.js';
+import { ProcessorFilter } from './tool-filter.js';
+import { UndoJournal } from './undo-journal.js';
+import { SiteExecutor } from './site-executor.js';
+import { redactor } from './redact.js';
+
+redactor.installConsole();
+
+// Module-level so queued entries can be flushed before the process exits
+const auditLog = AuditLog.fromEnv();
+
+const USAGE = 'Usage: modx-sync <status|pull|push> [--site=name] [--dir=path] [--kinds=chunk,snippet,template,plugin] [--force]';
+
+async function main(): Promise<number> {
+  const flags = new Map<string, string>();
+  const commands: string[] = [];
+  for (const arg of process.argv.slice(2)) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      flags.set(match[1], match[2] ?? 'true');
+    } else {
+      commands.push(arg);
+    }
+  }
+
+  const command = commands[0];
+  if (!command || !['status', 'pull', 'push'].includes(command) || flags.has('help')) {
+    console.error(USAGE);
+    return flags.has('help') ? 0 : 2;
+  }
+
+  const profiles = loadSiteProfiles();
+  const siteName = flags.get('site');
+  const profile = siteName ? profiles.find(item => item.name === siteName) : profiles[0];
+  if (!profile) {
+    throw new Error(`Unknown site: ${siteName}`);
+  }
+  if (!siteName && profiles.length > 1) {
+    throw new Error(`Specify --site: one of ${profiles.map(item => item.name).join(', ')}`);
+  }
+
+  const directory = flags.get('dir') || profile.syncDir;
+  if (!directory) {
+    throw new Error('Specify --dir or set MODX_SYNC_DIR');
+  }
+  if (command === 'push' && profile.readOnly) {
+    throw new Error(`Site "${profile.name}" is in read-only mode`);
+  }
+  if (!profile.username || !profile.password) {
+    throw new Error(`No MODX credentials for site "${profile.name}"`);
+  }
+
+  const classifier = new MutationClassifier(MutationClassifier.parseOverrides(process.env.MODX_MUTATING_OVERRIDES));
+  const modxProxy = new ModxProxyService(profile, {
+    auditLog,
+    classifier,
+    retryPolicy: RetryPolicy.fromEnv(),
+    timeouts: TimeoutTable.fromEnv(),
+  });
+
+  // Same rules as modx_sync_push: tool filter, read-only mode and undo journal
+  const executor = new SiteExecutor(profile.name, modxProxy, {
+    filter: new ProcessorFilter(profile.tools),
+    classifier,
+    readOnly: profile.readOnly,
+    undoJournal: UndoJournal.fromEnv(),
+  });
+
+  if (!await modxProxy.restoreSession(profile.username, profile.password)) {
+    const login = await modxProxy.login(profile.username, profile.password, profile.baseUrl);
+    if (!login.success) {
+      throw new Error(`Login failed: ${login.message}`);
+    }
+  }
+
+  const sync = new ElementSync(
+    profile.name,
+    directory,
+    executor.executor(),
+    ElementSync.parseKinds(flags.get('kinds'))
+  );
+  const force = flags.has('force');
+  const report = command === 'status'
+    ? await sync.status()
+    : command === 'pull' ? await sync.pull(force) : await sync.push(force);
+
+  console.log(JSON.stringify(report, null, 2));
+  return report.summary.failed || report.summary.conflict ? 1 : 0;
+}
+
+main()
+  .catch(error => {
+    console.error('modx-sync:', error instanceof Error ? error.message : error);
+    return 1;
+  })
+  .then(async code => {
+    // process.exit drops pending writes, so wait for audit entries of the calls made
+    await auditLog?.flush();
+    process.exit(code);
+  });
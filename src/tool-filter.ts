@@ -0,0 +1,70 @@
+/**
+ * Convert glob pattern over "namespace/path" to anchored, case-insensitive regular expression
+ */
+export function globToRegExp(glob: string): RegExp {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Allow/deny glob patterns deciding which processors are exposed as tools
+ *
+ * Patterns match "namespace/path" (e.g. "core/resource/getlist"):
+ *   "*" matches any characters, including "/"; "?" matches one character;
+ *   a leading "!" turns the pattern into a deny rule.
+ * When allow patterns are present a processor must match one of them; deny rules always win.
+ */
+export class ProcessorFilter {
+  private allow: RegExp[] = [];
+  private deny: RegExp[] = [];
+
+  constructor(patterns: string[] = []) {
+    for (const raw of patterns) {
+      const pattern = raw.trim();
+      if (!pattern) {
+        continue;
+      }
+
+      if (pattern.startsWith('!')) {
+        this.deny.push(globToRegExp(pattern.substring(1)));
+      } else {
+        this.allow.push(globToRegExp(pattern));
+      }
+    }
+  }
+
+  /**
+   * Parse patterns from a comma/newline separated string or an array
+   */
+  static parse(spec: string | string[] | undefined): string[] {
+    if (!spec) {
+      return [];
+    }
+    const list = Array.isArray(spec) ? spec : spec.split(/[,\n]/);
+    return list.map(item => String(item).trim()).filter(item => item !== '');
+  }
+
+  /**
+   * Check whether a processor may be listed and called
+   */
+  allows(namespace: string, path: string): boolean {
+    const target = `${namespace}/${path}`;
+
+    if (this.deny.some(regexp => regexp.test(target))) {
+      return false;
+    }
+
+    return this.allow.length === 0 || this.allow.some(regexp => regexp.test(target));
+  }
+}
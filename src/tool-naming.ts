@@ -0,0 +1,117 @@
+import { createHash } from 'crypto';
+
+/**
+ * Processor a tool name resolves to
+ */
+export interface ToolTarget<P> {
+  site: string;
+  namespace: string;
+  action: string;
+  processor: P;
+}
+
+interface NamedProcessor {
+  namespace: string;
+  path: string;
+}
+
+// Many MCP clients reject tool names longer than this
+export const DEFAULT_MAX_TOOL_NAME_LENGTH = 64;
+
+const HASH_LENGTH = 8;
+
+/**
+ * Reversible mapping between processors and tool names.
+ *
+ * Names follow modx_[site_]namespace_action. Processors whose names collide (e.g. resource/get_list and
+ * resource/get/list) all receive a hash suffix derived from their full path, and names over the length
+ * limit are shortened the same way, so each name is deterministic and independent of catalog order.
+ */
+export class ToolNameRegistry<P extends NamedProcessor> {
+  private byName = new Map<string, ToolTarget<P>>();
+  private byProcessor = new Map<string, string>();
+  private maxLength: number;
+  private reserved: Set<string>;
+
+  constructor(maxLength: number = DEFAULT_MAX_TOOL_NAME_LENGTH, reserved: string[] = []) {
+    this.maxLength = maxLength;
+    this.reserved = new Set(reserved);
+  }
+
+  /**
+   * Rebuild the table from the processors of every site
+   * @param sitePrefix Whether the site name is part of tool names
+   */
+  rebuild(processorsBySite: Map<string, P[]>, sitePrefix: boolean): void {
+    this.byName.clear();
+    this.byProcessor.clear();
+
+    // Group processors by their plain name to detect collisions
+    const candidates = new Map<string, Array<ToolTarget<P>>>();
+    for (const [site, processors] of processorsBySite) {
+      for (const processor of processors) {
+        const baseName = this.baseName(sitePrefix ? site : '', processor.namespace, processor.path);
+        const group = candidates.get(baseName) || [];
+        group.push({ site, namespace: processor.namespace, action: processor.path, processor });
+        candidates.set(baseName, group);
+      }
+    }
+
+    for (const [baseName, group] of candidates) {
+      const collides = group.length > 1 || this.reserved.has(baseName);
+      if (collides) {
+        const paths = group.map(target => `${target.site}:${target.namespace}/${target.action}`).join(', ');
+        console.error(`Tool name conflict for "${baseName}" (${paths}) - using hashed names`);
+      }
+
+      for (const target of group) {
+        const name = collides || baseName.length > this.maxLength
+          ? this.hashedName(baseName, target)
+          : baseName;
+
+        this.byName.set(name, target);
+        this.byProcessor.set(this.processorKey(target.site, target.namespace, target.action), name);
+      }
+    }
+  }
+
+  /**
+   * Resolve tool name to processor
+   */
+  lookup(toolName: string): ToolTarget<P> | null {
+    return this.byName.get(toolName) || null;
+  }
+
+  /**
+   * Get tool name of a processor
+   */
+  nameFor(site: string, namespace: string, action: string): string | undefined {
+    return this.byProcessor.get(this.processorKey(site, namespace, action));
+  }
+
+  /**
+   * Plain tool name: modx_[site_]namespace_action
+   */
+  private baseName(site: string, namespace: string, action: string): string {
+    const clean = (value: string) => value.toLowerCase().replace(/[^a-z0-9]/g, '_');
+    const sitePart = site ? `${clean(site)}_` : '';
+    return `modx_${sitePart}${clean(namespace)}_${clean(action)}`;
+  }
+
+  /**
+   * Base name cut to fit the limit, followed by a hash of the full processor identity
+   */
+  private hashedName(baseName: string, target: ToolTarget<P>): string {
+    const hash = createHash('sha1')
+      .update(this.processorKey(target.site, target.namespace, target.action))
+      .digest('hex')
+      .substring(0, HASH_LENGTH);
+
+    const prefix = baseName.substring(0, this.maxLength - HASH_LENGTH - 1).replace(/_+$/, '');
+    return `${prefix}_${hash}`;
+  }
+
+  private processorKey(site: string, namespace: string, action: string): string {
+    return `${site}:${namespace}/${action}`;
+  }
+}
@@ -0,0 +1,279 @@
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { isTruthy } from './config-values.js';
+
+/**
+ * Kind of object whose update/remove calls are journaled
+ */
+interface UndoTarget {
+  kind: string;
+  // Processor directory, e.g. "resource" or "element/chunk"
+  base: string;
+  // Argument identifying the object
+  key: 'id' | 'key';
+  // Verb of the processor that brings back a soft-deleted object
+  undeleteVerb?: string;
+}
+
+/**
+ * Journaled change: state of the object before the call
+ */
+export interface JournalEntry {
+  journalId: string;
+  createdAt: string;
+  site: string;
+  namespace: string;
+  // Processor call that changed the object
+  action: string;
+  kind: string;
+  key: string;
+  snapshot: Record<string, any>;
+  // Set once the entry has been undone
+  undoneAt?: string;
+  undoneWith?: string;
+}
+
+/**
+ * Runs a processor on the entry's site
+ */
+export type JournalExecutor = (namespace: string, action: string, args: Record<string, any>) => Promise<Record<string, any>>;
+
+const TARGETS: Array<{ pattern: RegExp; target: UndoTarget }> = [
+  {
+    pattern: /^(resource)\/(update|updatefromgrid|delete|remove)$/i,
+    target: { kind: 'resource', base: 'resource', key: 'id', undeleteVerb: 'undelete' },
+  },
+  {
+    pattern: /^(element\/(chunk|snippet|template|plugin|tv))\/(update|updatefromgrid|remove)$/i,
+    target: { kind: 'element', base: '', key: 'id' },
+  },
+  {
+    pattern: /^(system\/settings)\/(update|updatefromgrid|remove)$/i,
+    target: { kind: 'setting', base: 'system/settings', key: 'key' },
+  },
+];
+
+/**
+ * Journal target of a processor call, or undefined when the call is not journaled
+ */
+export function undoTargetFor(namespace: string, action: string): UndoTarget | undefined {
+  if (namespace !== 'core') {
+    return undefined;
+  }
+
+  for (const { pattern, target } of TARGETS) {
+    const match = action.match(pattern);
+    if (match) {
+      return { ...target, kind: target.kind === 'element' ? match[2].toLowerCase() : target.kind, base: match[1] };
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Sibling processor with the given verb, keeping the capitalisation style of the action (MODX 3 uses "Resource/Update")
+ */
+function siblingAction(base: string, action: string, verb: string): string {
+  const last = action.split('/').pop() || '';
+  const styled = /^[A-Z]/.test(last) ? verb.charAt(0).toUpperCase() + verb.slice(1) : verb;
+  return `${base}/${styled}`;
+}
+
+/**
+ * Identifier of the changed object from call arguments; grid updates send it inside the "data" JSON
+ */
+function extractKey(args: Record<string, any>, key: string): string | undefined {
+  let value = args[key];
+  if (value === undefined && args.data !== undefined) {
+    try {
+      const data = typeof args.data === 'string' ? JSON.parse(args.data) : args.data;
+      value = data?.[key];
+    } catch (e) {
+      // No identifier in unparsable grid data
+    }
+  }
+  return value === undefined || value === null || value === '' ? undefined : String(value);
+}
+
+/**
+ * Local journal of object states captured before update/remove calls, with restore support.
+ * One JSON file per entry; snapshots may contain setting values, so files are readable by the owner only.
+ */
+export class UndoJournal {
+  private directory: string;
+  private maxEntries: number;
+
+  constructor(directory: string, maxEntries = 200) {
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Journal in MODX_UNDO_DIR keeping MODX_UNDO_MAX_ENTRIES entries (default 200), or null when not configured
+   */
+  static fromEnv(): UndoJournal | null {
+    const directory = process.env.MODX_UNDO_DIR;
+    if (!directory) {
+      return null;
+    }
+    return new UndoJournal(directory, parseInt(process.env.MODX_UNDO_MAX_ENTRIES || '', 10) || undefined);
+  }
+
+  /**
+   * Snapshot the object a call is about to change. Returns undefined when the call is not journaled
+   * or the object cannot be read (e.g. it does not exist yet).
+   */
+  async capture(
+    site: string,
+    namespace: string,
+    action: string,
+    args: Record<string, any>,
+    execute: JournalExecutor
+  ): Promise<JournalEntry | undefined> {
+    const target = undoTargetFor(namespace, action);
+    const key = target ? extractKey(args, target.key) : undefined;
+    if (!target || key === undefined) {
+      return undefined;
+    }
+
+    const result = await execute(namespace, siblingAction(target.base, action, 'get'), { [target.key]: key });
+    const snapshot = result.success !== false ? result.object : undefined;
+    if (!snapshot || typeof snapshot !== 'object') {
+      return undefined;
+    }
+
+    return {
+      journalId: `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`,
+      createdAt: new Date().toISOString(),
+      site,
+      namespace,
+      action,
+      kind: target.kind,
+      key,
+      snapshot,
+    };
+  }
+
+  /**
+   * Store captured entry, dropping the oldest entries beyond maxEntries
+   */
+  async save(entry: JournalEntry): Promise<void> {
+    await this.write(entry);
+
+    const files = await this.files();
+    for (const file of files.slice(0, Math.max(0, files.length - this.maxEntries))) {
+      await fs.rm(path.join(this.directory, file), { force: true });
+    }
+  }
+
+  /**
+   * Entries newest first, optionally of one site
+   */
+  async list(site?: string, limit = 20): Promise<JournalEntry[]> {
+    const entries: JournalEntry[] = [];
+    for (const file of (await this.files()).reverse()) {
+      const entry = await this.read(file);
+      if (entry && (!site || entry.site === site)) {
+        entries.push(entry);
+        if (entries.length >= limit) {
+          break;
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Entry by id
+   */
+  async get(journalId: string): Promise<JournalEntry> {
+    const entry = /^[a-z0-9-]+$/.test(journalId) ? await this.read(`${journalId}.json`) : null;
+    if (!entry) {
+      throw new Error(`Unknown journal entry: ${journalId}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Most recent entry of a site that has not been undone yet
+   */
+  async last(site?: string): Promise<JournalEntry> {
+    for (const file of (await this.files()).reverse()) {
+      const entry = await this.read(file);
+      if (entry && !entry.undoneAt && (!site || entry.site === site)) {
+        return entry;
+      }
+    }
+    throw new Error('Nothing to undo');
+  }
+
+  /**
+   * Restore the snapshot: update the object if it still exists (undeleting it first when needed),
+   * otherwise create it again. Returns the result of the restoring processor.
+   */
+  async undo(entry: JournalEntry, execute: JournalExecutor): Promise<Record<string, any>> {
+    if (entry.undoneAt) {
+      throw new Error(`Journal entry ${entry.journalId} was already undone at ${entry.undoneAt}`);
+    }
+
+    const target = undoTargetFor(entry.namespace, entry.action)!;
+    const action = (verb: string) => siblingAction(target.base, entry.action, verb);
+
+    const current = await execute(entry.namespace, action('get'), { [target.key]: entry.key }).catch(() => undefined);
+    const exists = Boolean(current && current.success !== false && current.object);
+
+    let restoreAction: string;
+    let result: Record<string, any>;
+    if (exists) {
+      if (target.undeleteVerb && isTruthy(current!.object.deleted) && !isTruthy(entry.snapshot.deleted)) {
+        const undeleted = await execute(entry.namespace, action(target.undeleteVerb), { [target.key]: entry.key });
+        if (undeleted.success === false) {
+          return undeleted;
+        }
+      }
+      restoreAction = action('update');
+      result = await execute(entry.namespace, restoreAction, { ...entry.snapshot, [target.key]: entry.snapshot[target.key] ?? entry.key });
+    } else {
+      const { id, ...fields } = entry.snapshot;
+      restoreAction = action('create');
+      result = await execute(entry.namespace, restoreAction, target.key === 'id' ? fields : entry.snapshot);
+    }
+
+    if (result.success !== false) {
+      await this.write({ ...entry, undoneAt: new Date().toISOString(), undoneWith: restoreAction });
+    }
+    return result;
+  }
+
+  /**
+   * Entry file names, oldest first (ids start with a base-36 timestamp)
+   */
+  private async files(): Promise<string[]> {
+    try {
+      return (await fs.readdir(this.directory)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  private async read(file: string): Promise<JournalEntry | null> {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  private async write(entry: JournalEntry): Promise<void> {
+    await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+    const file = path.join(this.directory, `${entry.journalId}.json`);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(entry, null, 2), { mode: 0o600 });
+    await fs.rename(tempFile, file);
+  }
+}
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Тест синхронизации элементов с файлами на поддельном сайте (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { tmpdir } from 'os';
+import * as path from 'path';
+import { ElementSync } from './dist/element-sync.js';
+import { test, finish } from './test-harness.js';
+
+/**
+ * Сайт в памяти: процессоры element/* и element/category/getlist
+ */
+function fakeSite(elements, categories = []) {
+    const execute = async (namespace, action, args) => {
+        if (action === 'element/category/getlist') {
+            return { success: true, results: categories };
+        }
+
+        const [, kind, verb] = action.split('/');
+        const list = elements[kind] || [];
+        if (verb === 'getlist') {
+            return { success: true, total: list.length, results: list.map(item => ({ ...item })) };
+        }
+        if (verb === 'get') {
+            const item = list.find(element => element.id == args.id);
+            return item ? { success: true, object: { ...item } } : { success: false, message: 'Not found' };
+        }
+        if (verb === 'update') {
+            const index = list.findIndex(element => element.id == args.id);
+            list[index] = { ...args };
+            return { success: true, object: { ...args } };
+        }
+        throw new Error(`Unexpected processor ${action}`);
+    };
+    return { elements, execute };
+}
+
+async function withSync(elements, fn, categories) {
+    const directory = await fs.mkdtemp(path.join(tmpdir(), 'modx-sync-test-'));
+    try {
+        const site = fakeSite(elements, categories);
+        await fn(new ElementSync('default', directory, site.execute, ['chunk', 'snippet']), site, directory);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+const read = (directory, file) => fs.readFile(path.join(directory, file), 'utf8');
+const write = (directory, file, content) => fs.writeFile(path.join(directory, file), content);
+
+console.log('🔍 Тест ElementSync');
+
+await test('pull выгружает элементы по категориям с метаданными', () => withSync({
+    chunk: [{ id: 1, name: 'header', category: 2, description: 'Шапка', snippet: '<h1>Hi</h1>' }],
+    snippet: [{ id: 5, name: 'getMenu', category: 0, snippet: 'return 1;' }],
+}, async (sync, site, directory) => {
+    const report = await sync.pull();
+    assert.deepStrictEqual(report.summary, { pulled: 2 });
+    assert.strictEqual(await read(directory, 'chunks/Layout/Parts/header.html'), '<h1>Hi</h1>');
+    assert.strictEqual(await read(directory, 'snippets/getMenu.php'), 'return 1;');
+    const meta = JSON.parse(await read(directory, 'chunks/Layout/Parts/header.meta.json'));
+    assert.deepStrictEqual(meta, { kind: 'chunk', id: 1, name: 'header', category: 'Layout/Parts', description: 'Шапка' });
+    assert.deepStrictEqual((await sync.status()).summary, { unchanged: 2 });
+}, [{ id: 1, category: 'Layout', parent: 0 }, { id: 2, category: 'Parts', parent: 1 }]));
+
+await test('Состояния: локальные, удаленные изменения и конфликт', () => withSync({
+    chunk: [{ id: 1, name: 'a', category: 0, snippet: 'A' }, { id: 2, name: 'b', category: 0, snippet: 'B' }, { id: 3, name: 'c', category: 0, snippet: 'C' }],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    await write(directory, 'chunks/a.html', 'A local');
+    site.elements.chunk[1].snippet = 'B remote';
+    site.elements.chunk[2].snippet = 'C remote';
+    await write(directory, 'chunks/c.html', 'C local');
+
+    const statuses = Object.fromEntries((await sync.status()).items.map(item => [item.name, item.status]));
+    assert.deepStrictEqual(statuses, { a: 'local-modified', b: 'remote-modified', c: 'conflict' });
+}));
+
+await test('push отправляет локальные изменения и пропускает конфликты', () => withSync({
+    chunk: [{ id: 1, name: 'a', category: 0, snippet: 'A' }, { id: 2, name: 'c', category: 0, snippet: 'C' }],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    await write(directory, 'chunks/a.html', 'A local');
+    await write(directory, 'chunks/c.html', 'C local');
+    site.elements.chunk[1].snippet = 'C remote';
+
+    const report = await sync.push();
+    assert.strictEqual(report.summary.pushed, 1);
+    assert.strictEqual(report.summary.conflict, 1);
+    assert.strictEqual(site.elements.chunk[0].snippet, 'A local');
+    assert.strictEqual(site.elements.chunk[1].snippet, 'C remote');
+
+    const forced = await sync.push(true);
+    assert.strictEqual(forced.summary.pushed, 1);
+    assert.strictEqual(site.elements.chunk[1].snippet, 'C local');
+    assert.deepStrictEqual((await sync.status()).summary, { unchanged: 2 });
+}));
+
+await test('pull не перезаписывает локальные изменения без force', () => withSync({
+    chunk: [{ id: 1, name: 'a', category: 0, snippet: 'A' }, { id: 2, name: 'b', category: 0, snippet: 'B' }],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    await write(directory, 'chunks/a.html', 'A local');
+    site.elements.chunk[0].snippet = 'A remote';
+    await write(directory, 'chunks/b.html', 'B local');
+
+    const report = await sync.pull();
+    assert.deepStrictEqual(report.summary, { conflict: 1, skipped: 1 });
+    assert.strictEqual(await read(directory, 'chunks/a.html'), 'A local');
+
+    await sync.pull(true);
+    assert.strictEqual(await read(directory, 'chunks/a.html'), 'A remote');
+    assert.strictEqual(await read(directory, 'chunks/b.html'), 'B local');
+}));
+
+await test('Удаленные элементы: файл удаляется, если не менялся локально', () => withSync({
+    chunk: [{ id: 1, name: 'a', category: 0, snippet: 'A' }, { id: 2, name: 'b', category: 0, snippet: 'B' }],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    await write(directory, 'chunks/b.html', 'B local');
+    site.elements.chunk = [];
+
+    const report = await sync.pull();
+    assert.deepStrictEqual(report.summary, { removed: 1, conflict: 1 });
+    await assert.rejects(read(directory, 'chunks/a.html'));
+    assert.strictEqual(await read(directory, 'chunks/b.html'), 'B local');
+}));
+
+await test('Удаленный локально файл восстанавливается только с force', () => withSync({
+    chunk: [{ id: 1, name: 'a', category: 0, snippet: 'A' }],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    await fs.rm(path.join(directory, 'chunks/a.html'));
+    assert.deepStrictEqual((await sync.pull()).summary, { skipped: 1 });
+    assert.deepStrictEqual((await sync.push()).summary, { 'deleted-local': 1 });
+    await sync.pull(true);
+    assert.strictEqual(await read(directory, 'chunks/a.html'), 'A');
+}));
+
+await test('Совпадающие имена файлов получают ID и не теряют содержимое', () => withSync({
+    chunk: [
+        { id: 1, name: 'header?', category: 0, snippet: 'first' },
+        { id: 2, name: 'header_', category: 0, snippet: 'second' },
+        { id: 3, name: 'Footer', category: 0, snippet: 'upper' },
+        { id: 4, name: 'footer', category: 0, snippet: 'lower' },
+        { id: 5, name: 'solo', category: 0, snippet: 'solo' },
+    ],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    assert.strictEqual(await read(directory, 'chunks/header_.1.html'), 'first');
+    assert.strictEqual(await read(directory, 'chunks/header_.2.html'), 'second');
+    assert.strictEqual(await read(directory, 'chunks/Footer.3.html'), 'upper');
+    assert.strictEqual(await read(directory, 'chunks/footer.4.html'), 'lower');
+    assert.strictEqual(await read(directory, 'chunks/solo.html'), 'solo');
+
+    await write(directory, 'chunks/header_.2.html', 'second local');
+    const report = await sync.push();
+    assert.deepStrictEqual(report.summary.pushed, 1);
+    assert.deepStrictEqual(site.elements.chunk.map(item => item.snippet), ['first', 'second local', 'upper', 'lower', 'solo']);
+
+    // Новый элемент с тем же именем файла не занимает файл уже синхронизированного
+    site.elements.chunk.push({ id: 6, name: 'solo?', category: 0, snippet: 'other' });
+    await sync.pull();
+    assert.strictEqual(await read(directory, 'chunks/solo.html'), 'solo');
+    assert.strictEqual(await read(directory, 'chunks/solo_.html'), 'other');
+}));
+
+await test('Общий для двух элементов файл не отправляется даже с force', () => withSync({
+    chunk: [{ id: 1, name: 'a', category: 0, snippet: 'A' }, { id: 2, name: 'b', category: 0, snippet: 'B' }],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    const statePath = path.join(directory, '.modx-sync.json');
+    const state = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    state.elements['chunk:2'].file = 'chunks/a.html';
+    await fs.writeFile(statePath, JSON.stringify(state));
+    await write(directory, 'chunks/a.html', 'changed');
+
+    const report = await sync.push(true);
+    assert.strictEqual(report.summary.pushed, undefined);
+    assert.strictEqual(report.summary.conflict, 2);
+    assert.deepStrictEqual(site.elements.chunk.map(item => item.snippet), ['A', 'B']);
+
+    await sync.pull(true);
+    assert.strictEqual(await read(directory, 'chunks/a.1.html'), 'A');
+    assert.strictEqual(await read(directory, 'chunks/b.html'), 'B');
+    assert.deepStrictEqual((await sync.status()).summary, { unchanged: 2 });
+}));
+
+await test('Каталог другого сайта не используется', () => withSync({
+    chunk: [{ id: 1, name: 'a', category: 0, snippet: 'A' }],
+}, async (sync, site, directory) => {
+    await sync.pull();
+    await assert.rejects(new ElementSync('other', directory, site.execute).status(), /belongs to site "default"/);
+}));
+
+await test('parseKinds принимает список и множественное число', () => {
+    assert.deepStrictEqual(ElementSync.parseKinds('chunks, snippet'), ['chunk', 'snippet']);
+    assert.deepStrictEqual(ElementSync.parseKinds(undefined), ['chunk', 'snippet', 'template', 'plugin']);
+    assert.throws(() => ElementSync.parseKinds(['tv']), /Unknown element kind/);
+});
+
+finish();
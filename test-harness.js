@@ -0,0 +1,26 @@
+/**
+ * Общий запуск проверок для тестов, не требующих сайта MODX (npm run test:unit)
+ */
+
+let failed = 0;
+
+/**
+ * Выполнить проверку и вывести результат; ошибка не прерывает остальные проверки
+ */
+export async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Вывести итог и завершить процесс с кодом 1, если хотя бы одна проверка провалилась
+ */
+export function finish() {
+    console.log(failed ? `\n❌ Провалено тестов: ${failed}` : '\n🎉 Все тесты пройдены');
+    process.exit(failed ? 1 : 0);
+}
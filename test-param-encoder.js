@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Тест кодирования аргументов процессоров в поля формы коннектора (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import { encodeProcessorParams } from './dist/param-encoder.js';
+import { test, finish } from './test-harness.js';
+
+console.log('🔍 Тест encodeProcessorParams');
+
+await test('Скаляры передаются строками, boolean как 1/0, null как пустая строка', () => {
+    assert.deepStrictEqual(
+        encodeProcessorParams({ id: 5, pagetitle: 'Home', published: true, deleted: false, alias: null }),
+        [['id', '5'], ['pagetitle', 'Home'], ['published', '1'], ['deleted', '0'], ['alias', '']]
+    );
+});
+
+await test('undefined пропускается', () => {
+    assert.deepStrictEqual(encodeProcessorParams({ id: 1, parent: undefined }), [['id', '1']]);
+});
+
+await test('Вложенные значения кодируются в скобочной нотации PHP', () => {
+    assert.deepStrictEqual(
+        encodeProcessorParams({ tvs: [{ id: 1, value: 'a' }, { id: 2, value: ['x', 'y'] }] }),
+        [
+            ['tvs[0][id]', '1'],
+            ['tvs[0][value]', 'a'],
+            ['tvs[1][id]', '2'],
+            ['tvs[1][value][0]', 'x'],
+            ['tvs[1][value][1]', 'y'],
+        ]
+    );
+});
+
+await test('Пустые массивы и объекты передаются пустым полем', () => {
+    assert.deepStrictEqual(encodeProcessorParams({ groups: [], props: {} }), [['groups', ''], ['props', '']]);
+});
+
+await test('Даты передаются в ISO-формате', () => {
+    const date = new Date('2024-01-02T03:04:05.000Z');
+    assert.deepStrictEqual(encodeProcessorParams({ pub_date: date }), [['pub_date', '2024-01-02T03:04:05.000Z']]);
+});
+
+await test('Параметры типа json получают JSON-строку', () => {
+    assert.deepStrictEqual(
+        encodeProcessorParams({ data: { id: 3, pagetitle: 'A' } }, { data: 'json' }),
+        [['data', '{"id":3,"pagetitle":"A"}']]
+    );
+});
+
+await test('Готовая строка для параметра json не кодируется повторно', () => {
+    assert.deepStrictEqual(encodeProcessorParams({ data: '{"id":3}' }, { data: 'JSON' }), [['data', '{"id":3}']]);
+});
+
+await test('Структура для строкового параметра передается как JSON', () => {
+    assert.deepStrictEqual(encodeProcessorParams({ properties: { a: 1 } }, { properties: 'string' }), [['properties', '{"a":1}']]);
+});
+
+await test('Порядок полей совпадает с порядком аргументов', () => {
+    const fields = encodeProcessorParams({ b: 1, a: 2, c: { x: 1 } });
+    assert.deepStrictEqual(fields.map(([key]) => key), ['b', 'a', 'c[x]']);
+});
+
+finish();
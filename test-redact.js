@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Тест скрытия секретов в ответах, журналах и выводе консоли (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import { Redactor, REDACTED } from './dist/redact.js';
+import { test, finish } from './test-harness.js';
+
+console.log('🔍 Тест Redactor');
+
+await test('Чувствительные имена параметров по шаблонам по умолчанию', () => {
+    const redactor = new Redactor();
+    for (const name of ['password', 'new_password', 'specifiedpassword', 'passwd', 'pass', 'mail_smtp_pass', 'pwd', 'db_pwd',
+        'api_key', 'apiKey', 'client_secret', 'HTTP_MODAUTH', 'authToken', 'Cookie', 'set-cookie', 'salt', 'hash', 'password[0]']) {
+        assert.ok(redactor.isSensitive(name), name);
+    }
+    for (const name of ['bypass', 'compass', 'passage', 'pagetitle', 'id', 'content', 'username']) {
+        assert.ok(!redactor.isSensitive(name), name);
+    }
+});
+
+await test('MODX_SENSITIVE_PARAMS добавляет шаблоны', () => {
+    const previous = process.env.MODX_SENSITIVE_PARAMS;
+    process.env.MODX_SENSITIVE_PARAMS = 'pin, *_code';
+    try {
+        const redactor = Redactor.fromEnv();
+        assert.ok(redactor.isSensitive('pin'));
+        assert.ok(redactor.isSensitive('sms_code'));
+        assert.ok(redactor.isSensitive('password'));
+        assert.ok(!redactor.isSensitive('pincode'));
+    } finally {
+        if (previous === undefined) {
+            delete process.env.MODX_SENSITIVE_PARAMS;
+        } else {
+            process.env.MODX_SENSITIVE_PARAMS = previous;
+        }
+    }
+});
+
+await test('redact скрывает значения чувствительных ключей рекурсивно и не меняет исходный объект', () => {
+    const redactor = new Redactor();
+    const value = { username: 'admin', password: 'hunter22', profile: { api_key: 'abc', tags: [{ token: 'x' }] }, empty: { password: '' } };
+    assert.deepStrictEqual(redactor.redact(value), {
+        username: 'admin',
+        password: REDACTED,
+        profile: { api_key: REDACTED, tags: [{ token: REDACTED }] },
+        empty: { password: '' },
+    });
+    assert.strictEqual(value.password, 'hunter22');
+
+    const circular = { name: 'a' };
+    circular.self = circular;
+    assert.deepStrictEqual(redactor.redact(circular), { name: 'a', self: '[Circular]' });
+});
+
+await test('redactText скрывает пары key=value и "key": "value"', () => {
+    const redactor = new Redactor();
+    assert.strictEqual(
+        redactor.redactText('action=security/login&username=admin&password=hunter22&HTTP_MODAUTH=abc123'),
+        `action=security/login&username=admin&password=${REDACTED}&HTTP_MODAUTH=${REDACTED}`
+    );
+    assert.strictEqual(
+        redactor.redactText('{"username":"admin","password":"hun\\"ter","bypass":"1"}'),
+        `{"username":"admin","password":"${REDACTED}","bypass":"1"}`
+    );
+    assert.strictEqual(redactor.redactText("token: 'abc'"), `token: '${REDACTED}'`);
+    assert.strictEqual(redactor.redactText('compass=north'), 'compass=north');
+});
+
+await test('Зарегистрированные секреты скрываются в любом тексте до освобождения', () => {
+    const redactor = new Redactor();
+    redactor.addSecret('s3cr3t-value');
+    redactor.addSecret('abc');
+    assert.strictEqual(redactor.redactText('Login failed for s3cr3t-value'), `Login failed for ${REDACTED}`);
+    assert.deepStrictEqual(redactor.redact({ content: 'x s3cr3t-value y' }), { content: `x ${REDACTED} y` });
+    // Слишком короткие значения не регистрируются, чтобы не портить обычные слова
+    assert.strictEqual(redactor.redactText('abc'), 'abc');
+
+    redactor.removeSecret('s3cr3t-value');
+    assert.strictEqual(redactor.redactText('s3cr3t-value'), 's3cr3t-value');
+});
+
+await test('Секрет, общий для нескольких сессий, остается скрытым, пока его использует хотя бы одна', () => {
+    const redactor = new Redactor();
+    redactor.addSecret('shared-password');
+    redactor.addSecret('shared-password');
+    redactor.removeSecret('shared-password');
+    assert.strictEqual(redactor.redactText('shared-password'), REDACTED);
+    redactor.removeSecret('shared-password');
+    assert.strictEqual(redactor.redactText('shared-password'), 'shared-password');
+    // Повторное освобождение ничего не ломает
+    redactor.removeSecret('shared-password');
+    redactor.removeSecret(undefined);
+});
+
+await test('installConsole скрывает секреты в строках, объектах и ошибках', () => {
+    const redactor = new Redactor();
+    redactor.addSecret('hunter22');
+
+    const lines = [];
+    const methods = { error: console.error, warn: console.warn, log: console.log };
+    for (const method of Object.keys(methods)) {
+        console[method] = (...args) => lines.push(args.join(' '));
+    }
+    try {
+        redactor.installConsole();
+        console.log('login with', { username: 'admin', password: 'hunter22' });
+        console.warn('password=hunter22');
+        console.error('Failed:', new Error('bad password hunter22'));
+    } finally {
+        Object.assign(console, methods);
+    }
+
+    assert.strictEqual(lines.length, 3);
+    assert.match(lines[0], /username: 'admin'/);
+    assert.ok(lines.every(line => !line.includes('hunter22')), lines.join('\n'));
+    assert.strictEqual(lines[1], `password=${REDACTED}`);
+    assert.match(lines[2], /^Failed: Error: bad password \[REDACTED\]\n\s+at /);
+});
+
+finish();
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Тест ограничения параллельных запросов и частоты запросов к сайту (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import { RequestScheduler } from './dist/request-scheduler.js';
+import { test, finish } from './test-harness.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Запустить задачи одновременно; каждая записывает момент старта (мс от начала) и длится duration мс
+ */
+async function runAll(scheduler, count, duration = 0) {
+    const startedAt = Date.now();
+    const starts = [];
+    let active = 0;
+    let maxActive = 0;
+
+    const results = await Promise.all(Array.from({ length: count }, (_, index) => scheduler.run(async () => {
+        starts.push({ index, at: Date.now() - startedAt });
+        maxActive = Math.max(maxActive, ++active);
+        await sleep(duration);
+        active--;
+        return index;
+    })));
+    return { starts, maxActive, results };
+}
+
+console.log('🔍 Тест RequestScheduler');
+
+await test('Не больше maxConcurrent запросов одновременно, порядок FIFO', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 2, requestsPerSecond: 0 });
+    const { starts, maxActive, results } = await runAll(scheduler, 6, 20);
+    assert.strictEqual(maxActive, 2);
+    assert.deepStrictEqual(starts.map(start => start.index), [0, 1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(results.map(result => result.value), [0, 1, 2, 3, 4, 5]);
+    // Ожидающие в очереди получают время ожидания
+    assert.ok(results[0].waitMs < 10, String(results[0].waitMs));
+    assert.ok(results[5].waitMs >= 40, String(results[5].waitMs));
+});
+
+await test('Частота: пачка в пределах секунды, затем по одному запросу через 1/requestsPerSecond', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 0, requestsPerSecond: 4 });
+    const { starts } = await runAll(scheduler, 6);
+    const at = starts.map(start => start.at);
+    assert.deepStrictEqual(starts.map(start => start.index), [0, 1, 2, 3, 4, 5]);
+    assert.ok(at.slice(0, 4).every(ms => ms < 50), at.join(', '));
+    assert.ok(at[4] >= 240 && at[4] < 400, `5-й запрос через ${at[4]} мс`);
+    assert.ok(at[5] >= 490 && at[5] < 700, `6-й запрос через ${at[5]} мс`);
+});
+
+await test('Дробная частота: пачка из целого числа запросов', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 0, requestsPerSecond: 5.5 });
+    const { starts } = await runAll(scheduler, 7);
+    const at = starts.map(start => start.at);
+    assert.ok(at.slice(0, 5).every(ms => ms < 50), at.join(', '));
+    // Запас накапливается не больше чем до 5 токенов, следующий появляется через 1/5.5 с
+    assert.ok(at[5] >= 170 && at[5] < 330, `6-й запрос через ${at[5]} мс`);
+});
+
+await test('Оба ограничения вместе', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, requestsPerSecond: 10 });
+    const { starts, maxActive } = await runAll(scheduler, 4, 10);
+    assert.strictEqual(maxActive, 1);
+    assert.deepStrictEqual(starts.map(start => start.index), [0, 1, 2, 3]);
+});
+
+await test('Ошибка задачи освобождает место для следующей', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, requestsPerSecond: 0 });
+    const failing = scheduler.run(async () => {
+        throw new Error('boom');
+    });
+    const next = scheduler.run(async () => 'ok');
+    await assert.rejects(failing, /boom/);
+    assert.strictEqual((await next).value, 'ok');
+    assert.deepStrictEqual(scheduler.getStats(), { maxConcurrent: 1, requestsPerSecond: 0, active: 0, queued: 0 });
+});
+
+await test('fromSettings: значения профиля важнее переменных окружения', () => {
+    const names = ['MODX_MAX_CONCURRENT_REQUESTS', 'MODX_REQUESTS_PER_SECOND'];
+    const previous = names.map(name => process.env[name]);
+    process.env.MODX_MAX_CONCURRENT_REQUESTS = '8';
+    process.env.MODX_REQUESTS_PER_SECOND = '3';
+    try {
+        assert.deepStrictEqual(RequestScheduler.fromSettings(2, undefined).getStats(), { maxConcurrent: 2, requestsPerSecond: 3, active: 0, queued: 0 });
+        process.env.MODX_MAX_CONCURRENT_REQUESTS = 'many';
+        assert.strictEqual(RequestScheduler.fromSettings().getStats().maxConcurrent, 4);
+    } finally {
+        names.forEach((name, index) => {
+            if (previous[index] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = previous[index];
+            }
+        });
+    }
+});
+
+finish();
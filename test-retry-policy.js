@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Тест повторных попыток запросов к коннектору (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { AxiosError } from 'axios';
+import { parseRetryAfter, RetryPolicy } from './dist/retry-policy.js';
+import { MutationClassifier } from './dist/processor-policy.js';
+import { ModxProxyService } from './dist/modx-proxy.js';
+import { test, finish } from './test-harness.js';
+
+function httpError(status, headers = {}) {
+    return new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', {}, {}, { status, headers, data: '' });
+}
+
+function networkError(code) {
+    return new AxiosError(`connect ${code}`, code);
+}
+
+const policy = new RetryPolicy({ retries: 2, baseDelayMs: 100, maxDelayMs: 1000 });
+
+// retryDelay закрыт в TypeScript, но доступен из JavaScript
+const retryDelay = (error, attempt, idempotent) => policy.retryDelay(error, attempt, idempotent);
+
+console.log('🔍 Тест RetryPolicy');
+
+await test('Временные HTTP-статусы повторяются для чтения, задержка в пределах экспоненты', () => {
+    for (const status of [408, 500, 502, 503, 504]) {
+        for (let i = 0; i < 20; i++) {
+            const first = retryDelay(httpError(status), 1, true);
+            const third = retryDelay(httpError(status), 3, true);
+            assert.ok(first >= 0 && first <= 100, `attempt 1: ${first}`);
+            assert.ok(third >= 0 && third <= 400, `attempt 3: ${third}`);
+        }
+    }
+});
+
+await test('Задержка не превышает максимальную', () => {
+    for (let i = 0; i < 20; i++) {
+        assert.ok(retryDelay(httpError(503), 10, true) <= 1000);
+    }
+});
+
+await test('Постоянные ошибки не повторяются', () => {
+    assert.strictEqual(retryDelay(httpError(400), 1, true), undefined);
+    assert.strictEqual(retryDelay(httpError(404), 1, true), undefined);
+    assert.strictEqual(retryDelay(new Error('not axios'), 1, true), undefined);
+});
+
+await test('Изменяющие вызовы повторяются только если запрос не дошел до сервера', () => {
+    assert.strictEqual(retryDelay(httpError(502), 1, false), undefined);
+    assert.strictEqual(retryDelay(networkError('ECONNRESET'), 1, false), undefined);
+    assert.notStrictEqual(retryDelay(networkError('ECONNREFUSED'), 1, false), undefined);
+    assert.notStrictEqual(retryDelay(httpError(429), 1, false), undefined);
+});
+
+await test('Retry-After задает минимальную задержку, а слишком долгий прекращает попытки', () => {
+    assert.ok(retryDelay(httpError(503, { 'retry-after': '1' }), 1, true) >= 1000);
+    assert.strictEqual(retryDelay(httpError(503, { 'retry-after': '5' }), 1, true), undefined);
+});
+
+await test('parseRetryAfter понимает секунды и HTTP-дату', () => {
+    assert.strictEqual(parseRetryAfter('3'), 3000);
+    const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+    const parsed = parseRetryAfter(inTwoSeconds);
+    assert.ok(parsed > 0 && parsed <= 2000, String(parsed));
+    assert.strictEqual(parseRetryAfter(undefined), undefined);
+});
+
+await test('execute повторяет до исчерпания попыток', async () => {
+    const fast = new RetryPolicy({ retries: 2, baseDelayMs: 0, maxDelayMs: 0 });
+    let calls = 0;
+    await assert.rejects(fast.execute(async () => {
+        calls++;
+        throw httpError(503);
+    }, true));
+    assert.strictEqual(calls, 3);
+
+    calls = 0;
+    const value = await fast.execute(async () => {
+        calls++;
+        if (calls < 2) {
+            throw networkError('ECONNRESET');
+        }
+        return 'ok';
+    }, true);
+    assert.strictEqual(value, 'ok');
+    assert.strictEqual(calls, 2);
+});
+
+await test('Повторяются только процессоры, заведомо читающие данные', () => {
+    const classifier = new MutationClassifier({ 'mycomponent/mgr/report/build': false });
+    const isRead = (namespace, path) => classifier.isRead({ namespace, path });
+    assert.ok(isRead('core', 'resource/getlist'));
+    assert.ok(isRead('core', 'resource/get'));
+    assert.ok(isRead('core', 'resource/search'));
+    assert.ok(isRead('mycomponent', 'mgr/report/build'));
+    for (const path of ['mgr/send', 'system/sendmail', 'element/snippet/execute', 'workspace/packages/rest/download', 'security/logout', 'resource/update']) {
+        assert.ok(!isRead('core', path), path);
+    }
+    assert.ok(classifier.isRead({ namespace: 'x', path: 'process', class: 'MODX\\Revolution\\Processors\\Resource\\GetList' }));
+    assert.ok(!classifier.isRead({ namespace: 'x', path: 'process' }));
+});
+
+await test('Каталог процессоров повторяется после временной ошибки, изменяющий вызов нет', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            const action = new URLSearchParams(body).get('action');
+            requests.push(action);
+            res.setHeader('Content-Type', 'application/json');
+            if (action !== 'security/login' && requests.filter(item => item === action).length === 1) {
+                res.statusCode = 502;
+                return res.end('{}');
+            }
+            const object = action === 'data/index' ? { processors: [], total: 0, generated_at: 'now' } : { token: 'token' };
+            res.end(JSON.stringify({ success: true, object }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const modxProxy = new ModxProxyService(
+            { name: 'test', baseUrl: `http://127.0.0.1:${server.address().port}` },
+            { retryPolicy: new RetryPolicy({ retries: 2, baseDelayMs: 0, maxDelayMs: 0 }) }
+        );
+        assert.ok((await modxProxy.login('manager', 'secret')).success);
+
+        const catalog = await modxProxy.getProcessors();
+        assert.strictEqual(catalog.generated_at, 'now');
+        assert.deepStrictEqual(requests, ['security/login', 'data/index', 'data/index']);
+
+        await assert.rejects(modxProxy.callProcessor('core', 'resource/update', { id: 1 }), /502/);
+        assert.strictEqual(requests.filter(item => item === 'resource/update').length, 1);
+    } finally {
+        server.close();
+    }
+});
+
+finish();
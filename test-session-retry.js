@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Тест повторного входа при истекшей сессии на поддельном коннекторе (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import http from 'http';
+import { ModxProxyService } from './dist/modx-proxy.js';
+import { RetryPolicy } from './dist/retry-policy.js';
+import { test, finish } from './test-harness.js';
+
+/**
+ * Коннектор MODX в памяти: security/login выдает новый токен, остальные процессоры принимают только текущий
+ */
+function fakeConnector() {
+    const connector = { logins: 0, token: '', calls: [], rejectLogin: false };
+
+    connector.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', async () => {
+            const params = new URLSearchParams(body);
+            const action = params.get('action');
+            const reply = data => {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(data));
+            };
+
+            if (action === 'security/login') {
+                connector.logins++;
+                if (connector.rejectLogin) {
+                    return reply({ success: false, message: 'Login failed' });
+                }
+                connector.token = `token-${connector.logins}`;
+                return reply({ success: true, object: { token: connector.token } });
+            }
+
+            connector.calls.push(action);
+            // Медленный процессор проверяет токен уже после того, как другие вызовы вошли заново
+            if (action === 'slow/get') {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+            if (params.get('HTTP_MODAUTH') !== connector.token) {
+                return reply({ success: false, code: 401, message: 'access_denied' });
+            }
+            reply({ success: true, object: { action, token: connector.token } });
+        });
+    });
+
+    return new Promise(resolve => connector.server.listen(0, '127.0.0.1', () => resolve(connector)));
+}
+
+async function withService(fn) {
+    const connector = await fakeConnector();
+    try {
+        const modxProxy = new ModxProxyService(
+            { name: 'test', baseUrl: `http://127.0.0.1:${connector.server.address().port}` },
+            { retryPolicy: new RetryPolicy({ retries: 0, baseDelayMs: 0, maxDelayMs: 0 }) }
+        );
+        const login = await modxProxy.login('manager', 'secret');
+        assert.ok(login.success, login.message);
+        await fn(modxProxy, connector);
+    } finally {
+        connector.server.close();
+    }
+}
+
+// Сообщения о повторном входе ожидаемы и только засоряют вывод
+console.error = () => {};
+
+console.log('🔍 Тест повторного входа');
+
+await test('Вызов с действующей сессией не входит заново', () => withService(async (modxProxy, connector) => {
+    const result = await modxProxy.callProcessor('core', 'resource/get', { id: 1 });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(connector.logins, 1);
+}));
+
+await test('Истекшая сессия: вход повторяется и вызов выполняется снова', () => withService(async (modxProxy, connector) => {
+    connector.token = 'expired';
+    const result = await modxProxy.callProcessor('core', 'resource/get', { id: 1 });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.object.token, 'token-2');
+    assert.strictEqual(connector.logins, 2);
+    assert.deepStrictEqual(connector.calls, ['resource/get', 'resource/get']);
+}));
+
+await test('Параллельные вызовы с истекшей сессией входят один раз', () => withService(async (modxProxy, connector) => {
+    connector.token = 'expired';
+    const results = await Promise.all([1, 2, 3, 4, 5].map(id => modxProxy.callProcessor('core', 'resource/get', { id })));
+    assert.ok(results.every(result => result.success && result.object.token === 'token-2'));
+    assert.strictEqual(connector.logins, 2);
+}));
+
+await test('Вызов со старым токеном после чужого повторного входа не входит еще раз', () => withService(async (modxProxy, connector) => {
+    connector.token = 'expired';
+    const slow = modxProxy.callProcessor('core', 'slow/get', {});
+    // Быстрый вызов получает отказ, входит заново и успевает до ответа медленного
+    const fast = await modxProxy.callProcessor('core', 'resource/get', { id: 1 });
+    assert.strictEqual(fast.object.token, 'token-2');
+
+    const result = await slow;
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.object.token, 'token-2');
+    assert.strictEqual(connector.logins, 2);
+}));
+
+await test('Неудачный повторный вход возвращает ошибку сессии', () => withService(async (modxProxy, connector) => {
+    connector.token = 'expired';
+    connector.rejectLogin = true;
+    await assert.rejects(modxProxy.callProcessor('core', 'resource/get', { id: 1 }), /Session expired/);
+    assert.strictEqual(connector.logins, 2);
+}));
+
+finish();
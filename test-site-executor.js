@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Тест правил вызова процессоров сайта: фильтр инструментов, режим только для чтения, предпросмотр удаления
+ * (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import { SiteExecutor } from './dist/site-executor.js';
+import { ProcessorFilter } from './dist/tool-filter.js';
+import { MutationClassifier } from './dist/processor-policy.js';
+import { test, finish } from './test-harness.js';
+
+/**
+ * Сервис MODX, записывающий вызовы; get возвращает объект с переданными аргументами
+ */
+function fakeProxy() {
+    const calls = [];
+    return {
+        calls,
+        callProcessor: async (namespace, action, args) => {
+            calls.push(action);
+            return action.endsWith('/get') ? { success: true, object: { ...args, pagetitle: 'Home' } } : { success: true };
+        },
+    };
+}
+
+const catalog = [
+    { namespace: 'core', path: 'resource/get', parameters: [{ name: 'id' }] },
+    { namespace: 'core', path: 'resource/delete', parameters: [{ name: 'id' }] },
+    { namespace: 'core', path: 'context/remove', parameters: [{ name: 'key' }] },
+];
+
+function executorFor(modxProxy, tools, readOnly = false) {
+    return new SiteExecutor('default', modxProxy, {
+        filter: new ProcessorFilter(tools),
+        classifier: new MutationClassifier(),
+        readOnly,
+        findProcessor: (namespace, action) => catalog.find(item => item.namespace === namespace && item.path === action),
+    });
+}
+
+console.log('🔍 Тест SiteExecutor');
+
+await test('Исполнитель применяет фильтр инструментов и режим только для чтения', async () => {
+    const modxProxy = fakeProxy();
+    const tools = ['core/element/*', '!core/element/plugin/*'];
+
+    const execute = executorFor(modxProxy, tools).executor();
+    await execute('core', 'element/chunk/update', { id: 1 });
+    await assert.rejects(execute('core', 'element/plugin/update', { id: 1 }), /not allowed/);
+
+    const readOnly = executorFor(modxProxy, tools, true).executor();
+    await readOnly('core', 'element/chunk/getlist', {});
+    await assert.rejects(readOnly('core', 'element/chunk/update', { id: 1 }), /read-only/);
+    assert.deepStrictEqual(modxProxy.calls, ['element/chunk/update', 'element/chunk/getlist']);
+});
+
+await test('Текущее состояние читается соседним процессором get с идентифицирующими аргументами', async () => {
+    const modxProxy = fakeProxy();
+    const state = await executorFor(modxProxy, []).currentState('core', 'resource/delete', { id: 5, reason: 'old' });
+    assert.deepStrictEqual(state, { id: 5, pagetitle: 'Home' });
+    assert.deepStrictEqual(modxProxy.calls, ['resource/get']);
+});
+
+await test('Скрытый фильтром процессор get не вызывается для предпросмотра', async () => {
+    const modxProxy = fakeProxy();
+    const state = await executorFor(modxProxy, ['!core/resource/get']).currentState('core', 'resource/delete', { id: 5 });
+    assert.match(state.note, /core\/resource\/get is not allowed/);
+    assert.strictEqual(state.pagetitle, undefined);
+    assert.deepStrictEqual(modxProxy.calls, []);
+});
+
+await test('Процессор get, заблокированный режимом только для чтения, не вызывается', async () => {
+    const modxProxy = fakeProxy();
+    const executor = new SiteExecutor('default', modxProxy, {
+        filter: new ProcessorFilter([]),
+        classifier: new MutationClassifier({ 'core/resource/get': true }),
+        readOnly: true,
+        findProcessor: (namespace, action) => catalog.find(item => item.namespace === namespace && item.path === action),
+    });
+    const state = await executor.currentState('core', 'resource/delete', { id: 5 });
+    assert.match(state.note, /read-only/);
+    assert.deepStrictEqual(modxProxy.calls, []);
+});
+
+await test('Без процессора get или идентифицирующих аргументов состояние не читается', async () => {
+    const modxProxy = fakeProxy();
+    const executor = executorFor(modxProxy, []);
+    assert.strictEqual(await executor.currentState('core', 'context/remove', { key: 'web' }), undefined);
+    assert.strictEqual(await executor.currentState('core', 'resource/delete', {}), undefined);
+    assert.deepStrictEqual(modxProxy.calls, []);
+});
+
+finish();
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Тест таблицы имен инструментов процессоров (без подключения к MODX)
+ * Запуск после сборки: npm run test:unit
+ */
+
+import assert from 'assert';
+import { ToolNameRegistry } from './dist/tool-naming.js';
+import { test, finish } from './test-harness.js';
+
+function processor(namespace, path) {
+    return { namespace, path };
+}
+
+function registry(processorsBySite, sitePrefix = false, maxLength = 64, reserved = []) {
+    const names = new ToolNameRegistry(maxLength, reserved);
+    names.rebuild(new Map(Object.entries(processorsBySite)), sitePrefix);
+    return names;
+}
+
+console.log('🔍 Тест ToolNameRegistry');
+
+await test('Обычное имя: modx_namespace_action, разрешается обратно', () => {
+    const names = registry({ default: [processor('core', 'resource/getlist')] });
+    assert.strictEqual(names.nameFor('default', 'core', 'resource/getlist'), 'modx_core_resource_getlist');
+    const target = names.lookup('modx_core_resource_getlist');
+    assert.strictEqual(target.site, 'default');
+    assert.strictEqual(target.action, 'resource/getlist');
+});
+
+await test('С несколькими сайтами имя содержит сайт', () => {
+    const names = registry({ shop: [processor('core', 'resource/get')], blog: [processor('core', 'resource/get')] }, true);
+    assert.strictEqual(names.nameFor('shop', 'core', 'resource/get'), 'modx_shop_core_resource_get');
+    assert.strictEqual(names.nameFor('blog', 'core', 'resource/get'), 'modx_blog_core_resource_get');
+});
+
+await test('Совпадающие имена получают разные хеш-суффиксы и остаются обратимыми', () => {
+    const names = registry({ default: [processor('core', 'resource/get_list'), processor('core', 'resource/get/list')] });
+    const first = names.nameFor('default', 'core', 'resource/get_list');
+    const second = names.nameFor('default', 'core', 'resource/get/list');
+    assert.notStrictEqual(first, second);
+    assert.match(first, /^modx_core_resource_get_list_[0-9a-f]{8}$/);
+    assert.strictEqual(names.lookup(first).action, 'resource/get_list');
+    assert.strictEqual(names.lookup(second).action, 'resource/get/list');
+});
+
+await test('Имя, совпадающее со встроенным инструментом, хешируется', () => {
+    const names = registry({ default: [processor('get', 'session/info')] }, false, 64, ['modx_get_session_info']);
+    const name = names.nameFor('default', 'get', 'session/info');
+    assert.notStrictEqual(name, 'modx_get_session_info');
+    assert.strictEqual(names.lookup('modx_get_session_info'), null);
+});
+
+await test('Длинные имена укорачиваются до лимита', () => {
+    const path = 'mgr/very/long/processor/path/that/goes/on/and/on/and/on/forever';
+    const names = registry({ default: [processor('mycomponent', path)] }, false, 40);
+    const name = names.nameFor('default', 'mycomponent', path);
+    assert.ok(name.length <= 40, name);
+    assert.strictEqual(names.lookup(name).action, path);
+});
+
+await test('Имена не зависят от порядка процессоров в каталоге', () => {
+    const list = [processor('core', 'a/b'), processor('core', 'a_b'), processor('core', 'c')];
+    const forward = registry({ default: list });
+    const backward = registry({ default: [...list].reverse() });
+    for (const item of list) {
+        assert.strictEqual(forward.nameFor('default', item.namespace, item.path), backward.nameFor('default', item.namespace, item.path));
+    }
+});
+
+await test('Пересборка убирает исчезнувшие процессоры', () => {
+    const names = registry({ default: [processor('core', 'resource/get')] });
+    names.rebuild(new Map([['default', [processor('core', 'resource/getlist')]]]), false);
+    assert.strictEqual(names.lookup('modx_core_resource_get'), null);
+    assert.strictEqual(names.nameFor('default', 'core', 'resource/get'), undefined);
+});
+
+finish();